@@ -1353,3 +1353,25 @@ const fixings = {
   "64.6.exaltingPlanet": "Mercury",
   "64.6.detrimentingPlanet": "Venus"
 };
+
+// CommonJS export for the API server; browsers keep using the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    gateOrder,
+    harmonicOrder,
+    svgRaveMandalaGateOrder,
+    planetGlyphs,
+    astrologicalSigns,
+    astrologicalSignSymbols,
+    godheads,
+    iChingHexagramGlyphs,
+    aminoAcidByGate,
+    nucleicAcidSequences,
+    raveMandalaGateColors,
+    gateOf,
+    gateNames,
+    gateShortDescriptions,
+    godheadsByGate,
+    fixings
+  };
+}
@@ -0,0 +1,180 @@
+// Bodygraph SVG - fills in the blank bodygraph that ships with the hdblacklist client
+// Gates are channel halves, so a channel is drawn as its two gates, each in the color of the side that activates it
+const fs = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const { planetGlyphs } = require('../constants');
+const HDKit = require('./hdkit-calculator');
+const { centers } = require('./center-graph');
+const { sideColors, extraGlyphs, escapeXml } = require('./svg');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'sample-apps', 'hdblacklist-client', 'src', 'assets', 'bodygraph-blank.svg');
+const TEMPLATE_WIDTH = 851.41;
+const TEMPLATE_HEIGHT = 1309.4;
+
+// Rasterizing uses a bundled font so PNGs look the same on hosts without system fonts (node:20-alpine has none).
+// DejaVu Sans also covers the planet, zodiac and fixing glyphs.
+const FONTS_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const FONT_FAMILY = 'DejaVu Sans';
+const fontFiles = ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'].map(file => path.join(FONTS_DIR, file));
+
+const COLUMN_WIDTH = 190;
+const HEADER_HEIGHT = 80;
+const WIDTH = Number((TEMPLATE_WIDTH + COLUMN_WIDTH * 2).toFixed(2));
+const HEIGHT = TEMPLATE_HEIGHT + HEADER_HEIGHT;
+const ROW_HEIGHT = 68;
+
+const BOTH_SIDES_FILL = 'url(#bothSides)';
+
+// Same palette as the hdblacklist client's Bodygraph component
+const centerStyles = {
+  [centers.HEAD]: { id: 'Head', color: '#FCD34D' },
+  [centers.AJNA]: { id: 'Ajna', color: '#48BB78' },
+  [centers.THROAT]: { id: 'Throat', color: '#B7791F' },
+  [centers.G]: { id: 'G', color: '#FCD34D' },
+  [centers.HEART]: { id: 'Ego', color: '#F56565' },
+  [centers.SPLENIC]: { id: 'Spleen', color: '#B7791F' },
+  [centers.SOLAR_PLEXUS]: { id: 'Solar_Plexus', color: '#B7791F' },
+  [centers.SACRAL]: { id: 'Sacral', color: '#F56565' },
+  [centers.ROOT]: { id: 'Root', color: '#B7791F' }
+};
+
+// The Integration channels share a span between the 10/20 and 34/57 junctions
+const spanChannels = ['10-34', '10-57', '20-34', '20-57'];
+
+const fixingMarks = {
+  Exalted: '▲',
+  Detriment: '▼',
+  Juxtaposed: '▲▼'
+};
+
+let template = null;
+
+function loadTemplate() {
+  if (!template) {
+    // The labels' isolation style has no visual effect but crashes resvg when a label ends up clipped
+    template = fs.readFileSync(TEMPLATE_PATH, 'utf8').replace(/ style="isolation: isolate"/g, '');
+  }
+  return template;
+}
+
+// Replace the fill of the element with this id
+function fillElement(svg, id, fill) {
+  return svg.replace(new RegExp(`(<[a-z]+ id="${id}"[^>]*?)fill="[^"]*"`), `$1fill="${fill}"`);
+}
+
+// Replace the fill of the first shape inside the group with this id (centers and gate label backgrounds)
+function fillGroup(svg, id, fill) {
+  return svg.replace(new RegExp(`(<g id="${id}"[^>]*>\\s*<[a-z]+ [^>]*?)fill="[^"]*"`), `$1fill="${fill}"`);
+}
+
+// Gates 10 and 17 are exported as Gate_10 and Gate_17
+function gateElementId(svg, gate) {
+  return svg.includes(`id="Gate${gate}"`) ? `Gate${gate}` : `Gate_${gate}`;
+}
+
+function sidesFill(sides) {
+  if (sides.size > 1) return BOTH_SIDES_FILL;
+  return sideColors[[...sides][0]];
+}
+
+// Which sides (Personality, Design) activate each gate; opt-in bodies such as Chiron never define gates
+function gateSides(chart) {
+  const sides = {};
+  [['Personality', chart.personality], ['Design', chart.design]].forEach(([side, planets]) => {
+    HDKit.activationBodies.map(body => planets[body]).forEach(activation => {
+      if (!activation || !activation.Gate) return;
+      sides[activation.Gate] = sides[activation.Gate] || new Set();
+      sides[activation.Gate].add(side);
+    });
+  });
+  return sides;
+}
+
+function renderGraph(chart) {
+  let svg = loadTemplate();
+  const sides = gateSides(chart);
+
+  Object.entries(sides).forEach(([gate, gateSide]) => {
+    svg = fillElement(svg, gateElementId(svg, gate), sidesFill(gateSide));
+    svg = fillGroup(svg, `GateTextBg${gate}`, '#333');
+    svg = svg.replace(`<text id="GateText${gate}"`, `<text id="GateText${gate}" fill="#fff"`);
+  });
+
+  ['34', '10'].forEach(gate => {
+    if (sides[gate]) svg = fillElement(svg, `GateConnect${gate}`, sidesFill(sides[gate]));
+  });
+
+  const spanSides = new Set();
+  chart.channels
+    .filter(channel => spanChannels.includes(channel))
+    .forEach(channel => channel.split('-').forEach(gate => sides[gate].forEach(side => spanSides.add(side))));
+  if (spanSides.size > 0) svg = fillElement(svg, 'GateSpan', sidesFill(spanSides));
+
+  chart.definedCenters.forEach(center => {
+    const style = centerStyles[center];
+    if (style) svg = fillGroup(svg, style.id, style.color);
+  });
+
+  // Nest the template so it keeps its own coordinate system
+  return svg
+    .replace(/<svg [^>]*>/, `<svg x="${COLUMN_WIDTH}" y="${HEADER_HEIGHT}" width="${TEMPLATE_WIDTH}" height="${TEMPLATE_HEIGHT}" viewBox="0 0 ${TEMPLATE_WIDTH} ${TEMPLATE_HEIGHT}">`)
+    .trim();
+}
+
+// One column of activations: glyph, Gate.Line and the fixing mark per planet
+function renderColumn(side, planets, x) {
+  const color = sideColors[side];
+  const center = x + COLUMN_WIDTH / 2;
+  const rows = Object.entries(planets).filter(([, activation]) => activation.Gate);
+
+  return [
+    `<text x="${center}" y="${HEADER_HEIGHT + 20}" text-anchor="middle" font-size="24" font-weight="bold" fill="${color}">${side}</text>`,
+    ...rows.map(([planet, activation], index) => {
+      const y = HEADER_HEIGHT + 80 + index * ROW_HEIGHT;
+      const glyph = planetGlyphs[planet.replace(' ', '')] || extraGlyphs[planet] || planet.slice(0, 2);
+      const mark = fixingMarks[activation.FixingState] || '';
+      return `<g fill="${color}"><title>${escapeXml(`${side} ${planet} ${activation.Gate}.${activation.Line}`)}</title>` +
+        `<text x="${x + 30}" y="${y}" text-anchor="middle" dominant-baseline="central" font-size="30">${escapeXml(glyph)}</text>` +
+        `<text x="${x + 110}" y="${y}" text-anchor="middle" dominant-baseline="central" font-size="28" font-weight="bold">${activation.Gate}.${activation.Line}</text>` +
+        `<text x="${x + 170}" y="${y}" text-anchor="middle" dominant-baseline="central" font-size="16">${mark}</text></g>`;
+    })
+  ].join('\n');
+}
+
+/**
+ * Render the bodygraph for a chart from HDKit.calculateChart, with the Design activations
+ * on the left and the Personality activations on the right. `size` is the output width.
+ */
+function renderBodygraphSvg(chart, { title = '', subtitle = '', size = 800 } = {}) {
+  const height = Math.round((size * HEIGHT) / WIDTH);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${height}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="sans-serif">`,
+    '<defs>',
+    '<pattern id="bothSides" patternUnits="userSpaceOnUse" width="10" height="10" patternTransform="rotate(45)">',
+    `<rect width="5" height="10" fill="${sideColors.Personality}"/><rect x="5" width="5" height="10" fill="${sideColors.Design}"/>`,
+    '</pattern>',
+    '</defs>',
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="#fff"/>`,
+    `<text x="${WIDTH / 2}" y="34" text-anchor="middle" font-size="30" font-weight="bold">${escapeXml(title)}</text>`,
+    `<text x="${WIDTH / 2}" y="64" text-anchor="middle" font-size="20">${escapeXml(subtitle)}</text>`,
+    renderColumn('Design', chart.design, 0),
+    renderColumn('Personality', chart.personality, WIDTH - COLUMN_WIDTH),
+    renderGraph(chart),
+    '</svg>'
+  ].join('\n');
+}
+
+// Rasterize a rendered SVG to a PNG buffer `width` pixels wide
+function svgToPng(svg, width) {
+  return new Resvg(svg, {
+    fitTo: { mode: 'width', value: width },
+    font: { fontFiles, loadSystemFonts: false, defaultFontFamily: FONT_FAMILY, sansSerifFamily: FONT_FAMILY }
+  }).render().asPng();
+}
+
+module.exports = {
+  renderBodygraphSvg,
+  svgToPng
+};
@@ -0,0 +1,165 @@
+// Bodygraph center graph - centers are nodes, defined channels are edges
+// Used for definition, motor-to-throat and authority analysis
+
+// Centers mapping
+const centers = {
+  ROOT: 'Root center',
+  SACRAL: 'Sacral center',
+  SOLAR_PLEXUS: 'Solar Plexus center',
+  SPLENIC: 'Splenic center',
+  HEART: 'Heart center',
+  G: 'G center',
+  THROAT: 'Throat center',
+  AJNA: 'Ajna center',
+  HEAD: 'Head center'
+};
+
+// The two centers each channel connects (keys match calculateChannels)
+const channelCenters = {
+  '1-8': [centers.G, centers.THROAT],
+  '2-14': [centers.G, centers.SACRAL],
+  '3-60': [centers.SACRAL, centers.ROOT],
+  '4-63': [centers.AJNA, centers.HEAD],
+  '5-15': [centers.SACRAL, centers.G],
+  '6-59': [centers.SOLAR_PLEXUS, centers.SACRAL],
+  '7-31': [centers.G, centers.THROAT],
+  '9-52': [centers.SACRAL, centers.ROOT],
+  '10-20': [centers.G, centers.THROAT],
+  '10-34': [centers.G, centers.SACRAL],
+  '10-57': [centers.G, centers.SPLENIC],
+  '11-56': [centers.AJNA, centers.THROAT],
+  '12-22': [centers.THROAT, centers.SOLAR_PLEXUS],
+  '13-33': [centers.G, centers.THROAT],
+  '16-48': [centers.THROAT, centers.SPLENIC],
+  '17-62': [centers.AJNA, centers.THROAT],
+  '18-58': [centers.SPLENIC, centers.ROOT],
+  '19-49': [centers.ROOT, centers.SOLAR_PLEXUS],
+  '20-34': [centers.THROAT, centers.SACRAL],
+  '20-57': [centers.THROAT, centers.SPLENIC],
+  '21-45': [centers.HEART, centers.THROAT],
+  '23-43': [centers.THROAT, centers.AJNA],
+  '24-61': [centers.AJNA, centers.HEAD],
+  '25-51': [centers.G, centers.HEART],
+  '26-44': [centers.HEART, centers.SPLENIC],
+  '27-50': [centers.SACRAL, centers.SPLENIC],
+  '28-38': [centers.SPLENIC, centers.ROOT],
+  '29-46': [centers.SACRAL, centers.G],
+  '30-41': [centers.SOLAR_PLEXUS, centers.ROOT],
+  '32-54': [centers.SPLENIC, centers.ROOT],
+  '34-57': [centers.SACRAL, centers.SPLENIC],
+  '35-36': [centers.THROAT, centers.SOLAR_PLEXUS],
+  '37-40': [centers.SOLAR_PLEXUS, centers.HEART],
+  '39-55': [centers.ROOT, centers.SOLAR_PLEXUS],
+  '42-53': [centers.SACRAL, centers.ROOT],
+  '47-64': [centers.AJNA, centers.HEAD]
+};
+
+// Motor centers - any of these connected to the Throat makes a chart manifesting
+const motorCenters = [centers.SACRAL, centers.SOLAR_PLEXUS, centers.HEART, centers.ROOT];
+
+// Definition labels by number of separate areas
+const definitionLabels = {
+  0: 'No Definition',
+  1: 'Single Definition',
+  2: 'Split Definition',
+  3: 'Triple Split Definition',
+  4: 'Quadruple Split Definition'
+};
+
+/**
+ * Build an adjacency map of defined centers from a list of channel keys
+ */
+function buildCenterGraph(channels) {
+  const graph = new Map();
+
+  channels.forEach(channel => {
+    const pair = channelCenters[channel];
+    if (!pair) return;
+
+    const [from, to] = pair;
+    if (!graph.has(from)) graph.set(from, new Set());
+    if (!graph.has(to)) graph.set(to, new Set());
+    graph.get(from).add(to);
+    graph.get(to).add(from);
+  });
+
+  return graph;
+}
+
+/**
+ * Centers reachable from `start` through defined channels (including `start` itself)
+ */
+function reachableCenters(graph, start) {
+  const visited = new Set();
+  if (!graph.has(start)) return visited;
+
+  const queue = [start];
+  visited.add(start);
+
+  while (queue.length > 0) {
+    const center = queue.shift();
+    graph.get(center).forEach(neighbour => {
+      if (!visited.has(neighbour)) {
+        visited.add(neighbour);
+        queue.push(neighbour);
+      }
+    });
+  }
+
+  return visited;
+}
+
+/**
+ * True when any motor reaches the Throat through defined channels,
+ * directly (e.g. 21-45) or through other centers (e.g. Sacral -> G -> Throat)
+ */
+function hasMotorToThroat(channels) {
+  const reachable = reachableCenters(buildCenterGraph(channels), centers.THROAT);
+  return motorCenters.some(motor => reachable.has(motor));
+}
+
+/**
+ * Split the defined centers into connected areas of definition.
+ * Each area lists its centers in bodygraph order (Head down to Root).
+ */
+function findDefinitionAreas(channels) {
+  const graph = buildCenterGraph(channels);
+  const centerOrder = [centers.HEAD, centers.AJNA, centers.THROAT, centers.G, centers.HEART,
+    centers.SPLENIC, centers.SOLAR_PLEXUS, centers.SACRAL, centers.ROOT];
+  const assigned = new Set();
+  const areas = [];
+
+  centerOrder.forEach(center => {
+    if (!graph.has(center) || assigned.has(center)) return;
+
+    const area = reachableCenters(graph, center);
+    area.forEach(member => assigned.add(member));
+    areas.push(centerOrder.filter(member => area.has(member)));
+  });
+
+  return areas;
+}
+
+/**
+ * Analyze definition from a list of channel keys
+ */
+function analyzeDefinition(channels) {
+  const areas = findDefinitionAreas(channels);
+  return {
+    definition: definitionLabels[areas.length] || definitionLabels[4],
+    componentCount: areas.length,
+    areas
+  };
+}
+
+module.exports = {
+  centers,
+  channelCenters,
+  motorCenters,
+  definitionLabels,
+  buildCenterGraph,
+  reachableCenters,
+  hasMotorToThroat,
+  findDefinitionAreas,
+  analyzeDefinition
+};
@@ -0,0 +1,199 @@
+// Chart request helpers shared by the chart, batch and transit routes
+
+const moment = require('moment-timezone');
+const { find: findTimezones } = require('geo-tz');
+const HDKit = require('./hdkit-calculator');
+const { findLocationById } = require('./locations');
+const { resolveLocale } = require('./i18n');
+
+// Resolve birth coordinates and timezone from `lat`/`lon` or a `location` id.
+// `suffix` selects the second person's parameters on the composite route (lat1, lon1, location1, timezone1).
+// The timezone falls back to the location record or the coordinates when the caller leaves it out.
+function resolveBirthPlace(query, suffix = '') {
+  const locationId = query[`location${suffix}`];
+  const lat = query[`lat${suffix}`];
+  const lon = query[`lon${suffix}`];
+  const timezone = query[`timezone${suffix}`];
+
+  if (locationId !== undefined) {
+    const location = findLocationById(locationId);
+    if (!location) {
+      return { error: `Unknown location id "${locationId}"` };
+    }
+    return {
+      name: location.value,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timezone: timezone || location.timezone
+    };
+  }
+
+  if (lat !== undefined || lon !== undefined) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: `lat${suffix} and lon${suffix} must be valid coordinates` };
+    }
+    return {
+      name: null,
+      latitude,
+      longitude,
+      timezone: timezone || findTimezones(latitude, longitude)[0]
+    };
+  }
+
+  return { name: null, latitude: null, longitude: null, timezone };
+}
+
+function formatBirthPlace(place) {
+  return {
+    Name: place.name,
+    Latitude: place.latitude,
+    Longitude: place.longitude,
+    Timezone: place.timezone
+  };
+}
+
+// Validate the parameters of one chart (query string or batch item).
+// Returns { error } with a 400 body, or the parsed date, birth place and birth moment.
+function validateChartParams(params) {
+  const { date } = params;
+  const place = resolveBirthPlace(params);
+
+  if (place.error) {
+    return {
+      error: {
+        error: 'Invalid birth place',
+        message: place.error,
+        example: '/api/hd-data?date=1988-07-22T17:06:00&lat=51.5085&lon=-0.1257'
+      }
+    };
+  }
+
+  const { timezone } = place;
+
+  // Validation
+  if (!date || !timezone) {
+    return {
+      error: {
+        error: 'Missing required parameters',
+        message: 'date is required, plus a timezone or a birth place (lat/lon or location)',
+        example: '/api/hd-data?date=1988-07-22T17:06:00&timezone=Europe/London'
+      }
+    };
+  }
+
+  // Validate optional bodies (Chiron, Lilith, node type)
+  try {
+    HDKit.parseBodies(params.bodies);
+  } catch (error) {
+    return {
+      error: {
+        error: 'Invalid bodies parameter',
+        message: error.message,
+        example: '/api/hd-data?date=1988-07-22T17:06:00&timezone=Europe/London&bodies=chiron,lilith,mean-node'
+      }
+    };
+  }
+
+  // Validate date format
+  const birthMoment = moment.tz(date, timezone);
+  if (!birthMoment.isValid()) {
+    return {
+      error: {
+        error: 'Invalid date or timezone',
+        message: 'Please provide a valid ISO date and timezone',
+        example: 'date=1988-07-22T17:06:00&timezone=Europe/London'
+      }
+    };
+  }
+
+  // A date the ephemeris cannot cover is a client error, not a calculation failure
+  try {
+    HDKit.assertInEphemerisRange(birthMoment.toDate());
+  } catch (error) {
+    return {
+      error: {
+        error: 'Date out of range',
+        message: error.message
+      }
+    };
+  }
+
+  return { date, place, birthMoment };
+}
+
+// Response locale from `lang` or the Accept-Language header, echoed back in Content-Language
+function requestLocale(req, res) {
+  const locale = resolveLocale(req.query.lang, req.get('Accept-Language'));
+  res.vary('Accept-Language');
+  res.set('Content-Language', locale);
+  return locale;
+}
+
+// Calculate one chart and format it to match the humandesign.ai API structure
+async function calculateChartResponse({ date, place, birthMoment }, bodies, locale) {
+  // Calculate Human Design chart using Swiss Ephemeris
+  const chartData = await HDKit.calculateChart({
+    birthTime: date,
+    timezone: place.timezone,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    bodies,
+    locale
+  });
+
+  return {
+    Properties: {
+      BirthDateLocal: birthMoment.format('Do MMMM YYYY @ HH:mm'),
+      BirthDateLocal12: birthMoment.format('Do MMMM YYYY @ hh:mm A'),
+      BirthDateUtc: birthMoment.utc().format('Do MMMM YYYY @ HH:mm'),
+      BirthDateUtc12: birthMoment.utc().format('Do MMMM YYYY @ hh:mm A'),
+      Age: moment().diff(birthMoment, 'years'),
+      DesignDateUtc: moment.utc(chartData.designDateUtc).format('Do MMMM YYYY @ HH:mm'),
+      DesignDateUtc12: moment.utc(chartData.designDateUtc).format('Do MMMM YYYY @ hh:mm A'),
+      DesignDateUtcIso: chartData.designDateUtc.toISOString(),
+      BirthPlace: formatBirthPlace(place),
+      ...chartData.properties
+    },
+    ChartUrl: 'sage.humandesign.ai',
+    Personality: chartData.personality,
+    Design: chartData.design,
+    UnconsciousCenters: chartData.unconsciousCenters,
+    ConsciousCenters: chartData.consciousCenters,
+    DefinedCenters: chartData.definedCenters,
+    OpenCenters: chartData.openCenters,
+    Channels: chartData.channels,
+    Gates: chartData.gates,
+    Planets: chartData.planets,
+    Variables: chartData.variables,
+    Ephemeris: chartData.ephemeris,
+    Tooltips: chartData.tooltips
+  };
+}
+
+// Parse a transit moment: ISO 8601 with an offset, or UTC when it has none. Defaults to now.
+function parseTransitMoment(at) {
+  if (at === undefined || at === '') return moment.utc();
+  const transitMoment = moment.utc(at, moment.ISO_8601);
+  return transitMoment.isValid() ? transitMoment : null;
+}
+
+function formatTransitDate(transitMoment) {
+  return {
+    TransitDateUtc: transitMoment.format('Do MMMM YYYY @ HH:mm'),
+    TransitDateUtc12: transitMoment.format('Do MMMM YYYY @ hh:mm A'),
+    TransitDateUtcIso: transitMoment.toISOString()
+  };
+}
+
+module.exports = {
+  resolveBirthPlace,
+  formatBirthPlace,
+  validateChartParams,
+  requestLocale,
+  calculateChartResponse,
+  parseTransitMoment,
+  formatTransitDate
+};
@@ -0,0 +1,251 @@
+// Interpretation content - the Description and Link texts that calculateChart puts on its properties and tooltips
+//
+// The built-in content is read from constants.js (gate names) and the pdf-maker string tables.
+// Content packs replace or add texts without touching calculator code:
+//
+// CONTENT_PACKS  comma-separated JSON files, applied in order over the built-in content
+//
+// A pack holds one object per section, keyed by Id; an entry is a description string or
+// { "description": "...", "link": "..." }. `links` gives a URL template per section, with {id} for the Id.
+// `locale` (default "en") says which language the pack is written in; see lib/i18n.js for the locale bundles:
+//
+//   {
+//     "locale": "en",
+//     "links": { "gates": "https://example.com/gates/{id}" },
+//     "types": { "Generator": "Generators are the life force of the planet..." },
+//     "gates": { "34": { "description": "Power", "link": "https://example.com/power" } }
+//   }
+
+const fs = require('fs');
+const path = require('path');
+const { gateNames, gateShortDescriptions } = require('../constants');
+const { centers, channelCenters } = require('./center-graph');
+const { loadStrings } = require('./strings');
+const { angles, crossTable } = require('./incarnation-crosses');
+const { DEFAULT_LOCALE, localeContentPacks } = require('./i18n');
+
+// Sections and the Ids they are keyed by
+const sections = {
+  types: 'Type',
+  strategies: 'Type', // Strategy, signature and not-self copy is written per Type, like the pdf-maker tables
+  signatures: 'Type',
+  notSelfThemes: 'Type',
+  authorities: 'Inner Authority',
+  definitions: 'Definition',
+  profiles: 'Profile',
+  crosses: 'Incarnation Cross',
+  angles: 'Cross angle; fills the crosses of that angle the pack does not name',
+  gates: 'Gate number',
+  channels: 'Channel key, e.g. 1-8',
+  centers: 'Center name without " center", e.g. Solar Plexus',
+  planets: 'Planet',
+  connectionThemes: 'Composite connection theme, e.g. Work'
+};
+
+// The pdf-maker tables name some authorities, definitions and centers differently
+const authorityNames = {
+  Emotional: 'Emotional - Solar Plexus',
+  'Self Projected': 'Self-Projected',
+  'Sounding Board': 'Mental - Environmental'
+};
+
+const definitionNames = {
+  'Triple Definition': 'Triple Split Definition',
+  'Quad Split Definition': 'Quadruple Split Definition'
+};
+
+const centerNames = {
+  Ego: 'Heart',
+  Spleen: 'Splenic'
+};
+
+// What each body colors in an activation (none of the string tables cover the planets)
+const planetThemes = {
+  Sun: 'Life force and personality expression, about 70% of the imprint',
+  Earth: 'Grounding and balance',
+  Moon: 'The driving force',
+  Mercury: 'Communication, what we need to say',
+  Venus: 'Values and morality',
+  Mars: 'Immaturity and the energy to grow',
+  Jupiter: 'Law and where protection comes from',
+  Saturn: 'Discipline and the judge',
+  Uranus: 'Unusualness, where we are different',
+  Neptune: 'Illusion, the veil',
+  Pluto: 'Truth and transformation',
+  'North Node': 'The environment and direction of the second half of life',
+  'South Node': 'The environment and direction of the first half of life',
+  Chiron: 'The wound and its healing'
+};
+
+// Fallbacks for the authority and definition entries the pdf-maker tables leave empty
+const authorityThemes = {
+  'Emotional - Solar Plexus': 'Wait out the emotional wave; clarity comes over time, not in the moment',
+  Sacral: 'Trust the gut response in the moment',
+  Splenic: 'Trust the quiet intuition that speaks once, in the now',
+  'Ego Manifested': 'Say what you want and what you will commit to',
+  'Ego Projected': 'Listen to what you say you want when you are invited to speak',
+  'Self-Projected': 'Hear your direction by talking things through with others',
+  'Mental - Environmental': 'Talk decisions through with trusted people in the right environment',
+  Lunar: 'Take a full lunar cycle of about 28 days before big decisions'
+};
+
+const definitionThemes = {
+  'Single Definition': 'All defined centers form one connected area',
+  'Split Definition': 'Two separate areas of definition, joined by the people who bridge them',
+  'Triple Split Definition': 'Three separate areas of definition that take time and many people to connect',
+  'Quadruple Split Definition': 'Four separate areas of definition that come together slowly'
+};
+
+// How each Type's Strategy plays out; the strategies table only repeats the Strategy name
+const strategyThemes = {
+  Generator: 'Let life come to you and answer with the gut; energy spent on what you respond to brings satisfaction',
+  'Manifesting Generator': 'Wait for something to respond to, then inform the people affected before moving fast',
+  Projector: 'Wait to be recognized and invited into the big things in life: work, love and where you live',
+  Manifestor: 'Inform the people your actions will touch before you act, to meet less resistance',
+  Reflector: 'Wait a full lunar cycle of about 28 days, talking the decision through, before committing'
+};
+
+// Composite themes by how many centers the two people define together (see calculateConnectionTheme)
+const connectionThemes = {
+  'No Fun': 'Every center is defined between you. Together you are complete and closed to the world, with nowhere to go and nothing to explore - time apart keeps the connection fresh.',
+  Work: 'One open center is where the two of you meet the world. The relationship is worked out through that center, and what you share there takes steady effort.',
+  Fun: 'Two open centers leave room to play, explore and take in others together - the classic fun connection.',
+  Freedom: 'Three open centers keep the connection light and open to outside influence; you can come and go without losing each other.',
+  'Open and Flowing': 'Most of the bodygraph stays open between you, so the connection is shaped by the people and places around you.'
+};
+
+const angleThemes = {
+  [angles.RIGHT]: 'Right Angle: a personal destiny, fulfilled through your own process',
+  [angles.JUXTAPOSITION]: 'Juxtaposition: a fixed fate, a bridge between the personal and the transpersonal',
+  [angles.LEFT]: 'Left Angle: a transpersonal karma, fulfilled through encounters with others'
+};
+
+const shortCenterName = center => center.replace(' center', '');
+
+function renameKeys(table, names) {
+  return Object.fromEntries(Object.entries(table).map(([key, value]) => [names[key] || key, value]));
+}
+
+function buildDefaultContent() {
+  const strategies = loadStrings('strategies');
+  const signatures = loadStrings('signatures');
+  const notSelfThemes = loadStrings('not-self-themes');
+  const energyTypes = loadStrings('energy-types');
+  const channelNames = loadStrings('channels').names;
+  const profiles = loadStrings('profiles');
+
+  const types = Object.fromEntries(Object.keys(strategies).map(type => [
+    type,
+    energyTypes[type] || `Strategy: ${strategies[type]}. Signature: ${signatures[type]}. Not-Self Theme: ${notSelfThemes.types[type]}.`
+  ]));
+
+  const gates = Object.fromEntries(Object.keys(gateNames).map(gate => [
+    gate,
+    `${gateNames[gate]}: ${gateShortDescriptions[gate]}`
+  ]));
+
+  const channels = Object.fromEntries(Object.entries(channelCenters).map(([channel, [from, to]]) => [
+    channel,
+    `Channel of ${channelNames[channel] || channel}, connecting the ${from} and the ${to}`
+  ]));
+
+  const fallback = (table, themes) => Object.fromEntries([...Object.keys(themes), ...Object.keys(table)]
+    .map(key => [key, table[key] || themes[key]]));
+
+  const centerThemes = Object.fromEntries(Object.entries(renameKeys(notSelfThemes.centers, centerNames))
+    .map(([center, theme]) => [center, `Not-Self theme when open: ${theme}`]));
+
+  return {
+    types,
+    strategies: strategyThemes,
+    signatures: Object.fromEntries(Object.entries(signatures).map(([type, signature]) => [type, `Signature: ${signature}`])),
+    notSelfThemes: Object.fromEntries(Object.entries(notSelfThemes.types).map(([type, theme]) => [type, `Not-Self Theme: ${theme}`])),
+    authorities: fallback(renameKeys(loadStrings('authorities'), authorityNames), authorityThemes),
+    definitions: fallback(renameKeys(loadStrings('definitions'), definitionNames), definitionThemes),
+    profiles: Object.fromEntries(Object.keys(profiles.descriptions).map(profile => [
+      profile,
+      profiles.descriptions[profile] || profiles[profile]
+    ])),
+    // A cross name spans several quarters, so the built-in text only describes its angle
+    angles: angleThemes,
+    gates,
+    channels,
+    centers: Object.fromEntries(Object.values(centers).map(shortCenterName).map(center => [center, centerThemes[center] || ''])),
+    planets: planetThemes,
+    connectionThemes
+  };
+}
+
+/**
+ * Read a content pack file; unknown sections are rejected so typos do not go unnoticed
+ */
+function loadContentPack(file) {
+  const pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const unknown = Object.keys(pack).filter(key => !['name', 'locale', 'links'].includes(key) && !sections[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Content pack ${file} has unknown sections: ${unknown.join(', ')}. Use: ${Object.keys(sections).join(', ')}`);
+  }
+  return { name: pack.name || path.basename(file, '.json'), ...pack };
+}
+
+class Content {
+  constructor(packs = []) {
+    this.packs = packs.map(pack => pack.name);
+    this.entries = {};
+    this.links = {};
+
+    [buildDefaultContent(), ...packs].forEach(pack => this.apply(pack));
+  }
+
+  // Later packs win entry by entry; a string entry only replaces the description
+  apply(pack) {
+    const locale = pack.locale || DEFAULT_LOCALE;
+    const entries = this.entries[locale] = this.entries[locale] || {};
+    const set = (section, id, entry) => {
+      entries[section] = entries[section] || {};
+      const current = entries[section][id] || {};
+      entries[section][id] = typeof entry === 'string'
+        ? { ...current, description: entry }
+        : { ...current, ...entry };
+    };
+
+    const namedCrosses = pack.crosses || {};
+    Object.entries(pack.angles || {}).forEach(([angle, entry]) => {
+      Object.values(crossTable)
+        .filter(cross => cross.angle === angle && !namedCrosses[cross.name])
+        .forEach(cross => set('crosses', cross.name, entry));
+    });
+
+    Object.keys(sections).forEach(section => {
+      Object.entries(pack[section] || {}).forEach(([id, entry]) => set(section, id, entry));
+    });
+    Object.assign(this.links, pack.links || {});
+  }
+
+  /**
+   * Description and Link for one Id, as spread onto the response objects.
+   * Entries missing from `locale` fall back to English.
+   */
+  describe(section, id, locale = DEFAULT_LOCALE) {
+    const lookup = code => ((this.entries[code] || {})[section] || {})[String(id)] || {};
+    const entry = { ...lookup(DEFAULT_LOCALE), ...lookup(locale) };
+    const template = this.links[section];
+    const link = entry.link || (template ? template.replace('{id}', encodeURIComponent(id)) : '');
+    return { Description: entry.description || '', Link: link };
+  }
+}
+
+/**
+ * Built-in content, the locale bundles' text, then the packs listed in CONTENT_PACKS
+ */
+function configureContent(env = process.env) {
+  const files = (env.CONTENT_PACKS || '').split(',').map(file => file.trim()).filter(Boolean);
+  return new Content([...localeContentPacks(), ...files.map(file => loadContentPack(path.resolve(file)))]);
+}
+
+module.exports = {
+  sections,
+  Content,
+  loadContentPack,
+  configureContent
+};
@@ -0,0 +1,104 @@
+// Ephemeris backend configuration - Moshier (built-in), Swiss Ephemeris .se1 files or a JPL DE file
+//
+// EPHEMERIS_BACKEND  moshier (default) | swiss | jpl
+// EPHEMERIS_PATH     directory holding .se1 files (swiss) or the JPL file (jpl);
+//                    defaults to the files bundled with the swisseph package
+// EPHEMERIS_JPL_FILE JPL file name inside EPHEMERIS_PATH, e.g. de431.eph (jpl only)
+
+const fs = require('fs');
+const path = require('path');
+const swisseph = require('swisseph');
+
+const BUNDLED_EPHE_PATH = path.join(path.dirname(require.resolve('swisseph')), '..', 'ephe');
+
+// Years covered by each JPL development ephemeris
+const jplDateRanges = {
+  de200: [1600, 2169],
+  de405: [1600, 2200],
+  de406: [-3000, 3000],
+  de421: [1900, 2050],
+  de430: [1550, 2650],
+  de431: [-13200, 17191],
+  de440: [1550, 2650],
+  de441: [-13200, 17191]
+};
+
+const backends = {
+  moshier: {
+    name: 'Moshier (built-in analytical)',
+    flag: swisseph.SEFLG_MOSEPH
+  },
+  swiss: {
+    name: 'Swiss Ephemeris files',
+    flag: swisseph.SEFLG_SWIEPH
+  },
+  jpl: {
+    name: 'JPL Development Ephemeris',
+    flag: swisseph.SEFLG_JPLEPH
+  }
+};
+
+/**
+ * Years covered by the sepl_*.se1 / seplm*.se1 planet files in a directory (600 years per file)
+ */
+function swissFileDateRange(directory) {
+  const starts = fs.readdirSync(directory)
+    .map(file => file.match(/^sepl(m?)_?(\d{2})\.se1$/))
+    .filter(Boolean)
+    .map(([, bc, century]) => (bc ? -1 : 1) * Number(century) * 100);
+
+  if (starts.length === 0) return null;
+  return [Math.min(...starts), Math.max(...starts) + 599];
+}
+
+/**
+ * Read the backend from the environment and point Swiss Ephemeris at its files
+ */
+function configureEphemeris(env = process.env) {
+  const backend = (env.EPHEMERIS_BACKEND || 'moshier').toLowerCase();
+  if (!backends[backend]) {
+    throw new Error(`Unknown EPHEMERIS_BACKEND "${backend}". Use one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  const ephePath = env.EPHEMERIS_PATH || BUNDLED_EPHE_PATH;
+  const config = {
+    backend,
+    name: backends[backend].name,
+    flag: backends[backend].flag,
+    path: ephePath,
+    file: null,
+    dateRange: null
+  };
+
+  // Asteroids (Chiron) are read from seas_*.se1 files in this path for every backend
+  swisseph.swe_set_ephe_path(ephePath);
+
+  if (backend === 'moshier') {
+    // Moshier planetary theory covers 3000 BC to 3000 AD
+    config.dateRange = [-3000, 3000];
+  } else if (backend === 'swiss') {
+    config.dateRange = swissFileDateRange(ephePath);
+    if (!config.dateRange) {
+      throw new Error(`No Swiss Ephemeris planet files (sepl_*.se1) found in ${ephePath}`);
+    }
+  } else {
+    if (!env.EPHEMERIS_JPL_FILE) {
+      throw new Error('EPHEMERIS_JPL_FILE is required when EPHEMERIS_BACKEND=jpl');
+    }
+    if (!fs.existsSync(path.join(ephePath, env.EPHEMERIS_JPL_FILE))) {
+      throw new Error(`JPL file ${env.EPHEMERIS_JPL_FILE} not found in ${ephePath}`);
+    }
+    swisseph.swe_set_jpl_file(env.EPHEMERIS_JPL_FILE);
+    config.file = env.EPHEMERIS_JPL_FILE;
+    const version = env.EPHEMERIS_JPL_FILE.toLowerCase().match(/de\d{3}/);
+    config.dateRange = (version && jplDateRanges[version[0]]) || null;
+  }
+
+  return config;
+}
+
+module.exports = {
+  BUNDLED_EPHE_PATH,
+  backends,
+  configureEphemeris
+};
@@ -0,0 +1,288 @@
+// Gazetteer - offline place search over a GeoNames cities dump, indexed at startup
+//
+// GEONAMES_CITIES  a GeoNames cities file (cities1000.txt, cities5000.txt or cities15000.txt);
+//                  defaults to the largest one found in data/geonames (see `npm run geonames`)
+// GEONAMES_ADMIN1  admin1CodesASCII.txt for state/province names; defaults to the file next to the cities dump
+// GEONAMES_ADMIN2  admin2Codes.txt for county/district names; defaults to the file next to the cities dump
+//
+// Without a dump the built-in city list in lib/locations.js is indexed instead.
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'geonames');
+const CITY_FILES = ['cities1000.txt', 'cities5000.txt', 'cities15000.txt'];
+
+// Match quality by what the query matched; population is added on top when ranking
+const qualities = {
+  name: { exact: 100, prefix: 80 },
+  alternate: { exact: 90, prefix: 65 },
+  word: { exact: 75, prefix: 60 }
+};
+const FUZZY_QUALITY = 30;
+const kinds = Object.keys(qualities);
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// Lowercase, without diacritics or punctuation: "São Paulo" -> "sao paulo"
+function normalize(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Dice coefficient over character bigrams, counting a repeated bigram once per occurrence on both sides
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const counts = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.substring(i, i + 2);
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+  let intersection = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.substring(i, i + 2);
+    if (counts.get(bigram) > 0) {
+      counts.set(bigram, counts.get(bigram) - 1);
+      intersection++;
+    }
+  }
+  return (2 * intersection) / (a.length + b.length - 2);
+}
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(line => line && !line.startsWith('#'));
+}
+
+// admin1CodesASCII.txt / admin2Codes.txt: "US.IL<TAB>Illinois<TAB>..." keyed by code
+function readAdminCodes(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  return Object.fromEntries(readLines(file).map(line => line.split('\t').slice(0, 2)));
+}
+
+function countryName(code) {
+  try {
+    return countryNames.of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Parse a GeoNames cities dump into gazetteer records
+ */
+function readGeoNames(citiesFile, admin1File, admin2File) {
+  const admin1Names = readAdminCodes(admin1File);
+  const admin2Names = readAdminCodes(admin2File);
+
+  return readLines(citiesFile).map(line => {
+    const columns = line.split('\t');
+    const [id, name, asciiname, alternateNames, latitude, longitude] = columns;
+    const [countryCode, , admin1Code, admin2Code] = columns.slice(8, 12);
+
+    return {
+      id: Number(id),
+      name,
+      asciiname,
+      alternateNames: alternateNames ? alternateNames.split(',') : [],
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      countryCode,
+      country: countryName(countryCode),
+      admin1Code,
+      admin1: admin1Names[`${countryCode}.${admin1Code}`] || '',
+      admin2: admin2Names[`${countryCode}.${admin1Code}.${admin2Code}`] || '',
+      population: Number(columns[14]) || 0,
+      timezone: columns[17]
+    };
+  });
+}
+
+// The built-in records keep their region names with a leading space and list alternate names among the tokens
+function fromBuiltInLocation(location) {
+  const country = location.country.trim();
+  const admin1 = location.admin1.trim();
+  return {
+    id: location.id,
+    name: location.asciiname,
+    asciiname: location.asciiname,
+    alternateNames: location.tokens.map(token => token.trim()).filter(token => ![location.asciiname, admin1, country].includes(token)),
+    latitude: location.latitude,
+    longitude: location.longitude,
+    countryCode: null,
+    country,
+    admin1Code: null,
+    admin1,
+    admin2: '',
+    population: 0,
+    timezone: location.timezone
+  };
+}
+
+// Search keys of one place and the best kind of name behind each (names, then alternate names, then later words of a name)
+function placeKeys(place) {
+  const keys = {};
+  const add = (key, kind) => {
+    if (key.length >= 2 && !keys[key]) keys[key] = kind;
+  };
+  const names = [place.name, place.asciiname].map(normalize);
+
+  names.forEach(key => add(key, 'name'));
+  place.alternateNames.forEach(name => add(normalize(name), 'alternate'));
+  names.forEach(key => key.split(' ').slice(1).forEach(word => add(word, 'word')));
+  return keys;
+}
+
+// Response shape: the original location fields plus the GeoNames details
+function formatPlace(place) {
+  const regions = [place.admin1, place.country].filter(Boolean);
+  return {
+    id: place.id,
+    country: ` ${place.country}`,
+    timezone: place.timezone,
+    asciiname: place.asciiname,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    admin1: place.admin1 ? ` ${place.admin1}` : '',
+    tokens: [place.asciiname, ...regions.map(region => ` ${region}`), ...place.alternateNames.slice(0, 3)],
+    value: [place.name, ...regions].join(', '),
+    name: place.name,
+    countryCode: place.countryCode,
+    admin2: place.admin2 || null,
+    population: place.population,
+    alternateNames: place.alternateNames
+  };
+}
+
+class Gazetteer {
+  constructor(places, source) {
+    this.places = places;
+    this.source = source;
+    this.byId = new Map(places.map((place, index) => [place.id, index]));
+
+    // Normalized key -> postings, each a place index and the kind of name that produced the key
+    this.postings = new Map();
+    places.forEach((place, index) => {
+      Object.entries(placeKeys(place)).forEach(([key, kind]) => {
+        const posting = index * kinds.length + kinds.indexOf(kind);
+        const postings = this.postings.get(key);
+        if (postings) postings.push(posting);
+        else this.postings.set(key, [posting]);
+      });
+    });
+    this.keys = [...this.postings.keys()].sort();
+  }
+
+  // Index of the first key >= prefix
+  lowerBound(prefix) {
+    let low = 0;
+    let high = this.keys.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.keys[middle] < prefix) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  // Best match quality per place for every key starting with `term`
+  matchPrefix(term) {
+    const matches = new Map();
+    for (let i = this.lowerBound(term); i < this.keys.length && this.keys[i].startsWith(term); i++) {
+      const key = this.keys[i];
+      this.postings.get(key).forEach(posting => {
+        const index = Math.floor(posting / kinds.length);
+        const quality = qualities[kinds[posting % kinds.length]][key === term ? 'exact' : 'prefix'];
+        if (quality > (matches.get(index) || 0)) matches.set(index, quality);
+      });
+    }
+    return matches;
+  }
+
+  // Misspellings: keys sharing the first two letters and close in length and bigrams
+  matchFuzzy(term, matches) {
+    const stem = term.slice(0, 2);
+    for (let i = this.lowerBound(stem); i < this.keys.length && this.keys[i].startsWith(stem); i++) {
+      const key = this.keys[i];
+      if (Math.abs(key.length - term.length) > 2 || similarity(key, term) <= 0.7) continue;
+      this.postings.get(key).forEach(posting => {
+        const index = Math.floor(posting / kinds.length);
+        if (!matches.has(index)) matches.set(index, FUZZY_QUALITY);
+      });
+    }
+  }
+
+  /**
+   * Places matching `query`, best first. Text after a comma narrows by region:
+   * "Springfield, Illinois" or "Paris, FR". `country` takes an ISO code or a country name.
+   */
+  search(query, { limit = 20, country } = {}) {
+    const [term, ...qualifiers] = String(query).split(',').map(normalize);
+    if (!term || term.length < 2) return [];
+
+    const regionFilters = [...qualifiers.filter(Boolean), ...(country ? [normalize(country)] : [])];
+    const inRegion = place => regionFilters.every(filter =>
+      [place.countryCode, place.country, place.admin1Code, place.admin1, place.admin2]
+        .some(region => region && normalize(region).startsWith(filter)));
+
+    const matches = this.matchPrefix(term);
+    if (matches.size < limit && term.length >= 4) this.matchFuzzy(term, matches);
+
+    return [...matches.entries()]
+      .map(([index, quality]) => ({ place: this.places[index], quality }))
+      .filter(({ place }) => inRegion(place))
+      .map(({ place, quality }) => ({ place, rank: quality + Math.log10(place.population + 1) * 3 }))
+      .sort((a, b) => b.rank - a.rank || b.place.population - a.place.population)
+      .slice(0, limit)
+      .map(({ place }) => formatPlace(place));
+  }
+
+  findById(id) {
+    const index = this.byId.get(Number(id));
+    return index === undefined ? null : formatPlace(this.places[index]);
+  }
+
+  info() {
+    return { source: this.source, places: this.places.length };
+  }
+}
+
+function defaultCitiesFile() {
+  return CITY_FILES.map(file => path.join(DATA_DIR, file)).find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Index the GeoNames dump named in the environment, or `builtInLocations` when there is none
+ */
+function configureGazetteer(env = process.env, builtInLocations = []) {
+  const citiesFile = env.GEONAMES_CITIES ? path.resolve(env.GEONAMES_CITIES) : defaultCitiesFile();
+
+  if (!citiesFile) {
+    console.warn('⚠️ No GeoNames cities dump found; location search uses the built-in city list (run `npm run geonames`)');
+    return new Gazetteer(builtInLocations.map(fromBuiltInLocation), 'built-in');
+  }
+  if (!fs.existsSync(citiesFile)) {
+    throw new Error(`GEONAMES_CITIES file not found: ${citiesFile}`);
+  }
+
+  const directory = path.dirname(citiesFile);
+  const gazetteer = new Gazetteer(readGeoNames(
+    citiesFile,
+    env.GEONAMES_ADMIN1 ? path.resolve(env.GEONAMES_ADMIN1) : path.join(directory, 'admin1CodesASCII.txt'),
+    env.GEONAMES_ADMIN2 ? path.resolve(env.GEONAMES_ADMIN2) : path.join(directory, 'admin2Codes.txt')
+  ), path.basename(citiesFile));
+
+  console.log(`🗺️ Gazetteer indexed ${gazetteer.places.length} places from ${gazetteer.source}`);
+  return gazetteer;
+}
+
+module.exports = {
+  normalize,
+  Gazetteer,
+  configureGazetteer
+};
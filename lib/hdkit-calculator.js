@@ -3,6 +3,14 @@
 
 const swisseph = require('swisseph');
 const moment = require('moment-timezone');
+const constants = require('../constants');
+const { loadStrings } = require('./strings');
+const { configureEphemeris } = require('./ephemeris');
+const { configureContent } = require('./content');
+const { DEFAULT_LOCALE, translator } = require('./i18n');
+const { findIncarnationCross } = require('./incarnation-crosses');
+const { groupKind, analyzePenta, pentaGates } = require('./penta');
+const { centers, channelCenters, analyzeDefinition, hasMotorToThroat, buildCenterGraph, reachableCenters } = require('./center-graph');
 
 // Import the original hdkit components
 const gateOrder = [41, 19, 13, 49, 30, 55, 37, 63, 22, 36, 25, 17, 21, 51, 42, 3, 27, 24, 2, 23, 8, 20, 16, 35, 45, 12, 15, 52, 39, 53, 62, 56, 31, 33, 7, 4, 29, 59, 40, 64, 47, 6, 46, 18, 48, 57, 32, 50, 28, 44, 1, 43, 14, 34, 9, 5, 26, 11, 10, 58, 38, 54, 61, 60];
@@ -18,19 +26,6 @@ const hdTypes = {
   REFLECTOR: 'Reflector'
 };
 
-// Centers mapping
-const centers = {
-  ROOT: 'Root center',
-  SACRAL: 'Sacral center',
-  SOLAR_PLEXUS: 'Solar Plexus center',
-  SPLENIC: 'Splenic center',
-  HEART: 'Heart center',
-  G: 'G center',
-  THROAT: 'Throat center',
-  AJNA: 'Ajna center',
-  HEAD: 'Head center'
-};
-
 // Channel definitions (gate pairs that form channels)
 const channelDefinitions = {
   '1-8': 'Channel of Inspiration',
@@ -71,131 +66,230 @@ const channelDefinitions = {
   '47-64': 'Channel of Abstraction'
 };
 
+// Bodies that make up the 13 standard activations of each side
+const activationBodies = ['Sun', 'Earth', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto', 'North Node', 'South Node'];
+
+// Opt-in bodies (`bodies` option) - reported with the full gate/line/color/tone/base breakdown,
+// but they never define gates, channels or centers
+const optionalBodies = {
+  chiron: { name: 'Chiron', id: swisseph.SE_CHIRON },
+  lilith: { name: 'Lilith', id: swisseph.SE_MEAN_APOG },
+  'true-lilith': { name: 'True Lilith', id: swisseph.SE_OSCU_APOG }
+};
+
+// Lunar node choices for the `bodies` option; the True Node is the default
+const nodeTypes = {
+  'true-node': swisseph.SE_TRUE_NODE,
+  'mean-node': swisseph.SE_MEAN_NODE
+};
+
+// Bodies for the ingress calendar. `offset` places Earth and South Node opposite their body,
+// `maxSpeed` (°/day) sets the sampling step and `stations` marks bodies that turn retrograde.
+// The true node wobbles, changing direction about 55 times a year, sometimes twice within hours;
+// `reverses` splits its steps at those turns without reporting stations, and `stepDays` samples it every
+// 6 hours, short enough that it moves under 0.0001° between two turns inside one step.
+const ingressBodies = {
+  sun: { name: 'Sun', id: swisseph.SE_SUN, offset: 0, maxSpeed: 1.02 },
+  earth: { name: 'Earth', id: swisseph.SE_SUN, offset: 180, maxSpeed: 1.02 },
+  moon: { name: 'Moon', id: swisseph.SE_MOON, offset: 0, maxSpeed: 15.4 },
+  mercury: { name: 'Mercury', id: swisseph.SE_MERCURY, offset: 0, maxSpeed: 2.21, stations: true },
+  venus: { name: 'Venus', id: swisseph.SE_VENUS, offset: 0, maxSpeed: 1.26, stations: true },
+  mars: { name: 'Mars', id: swisseph.SE_MARS, offset: 0, maxSpeed: 0.8, stations: true },
+  jupiter: { name: 'Jupiter', id: swisseph.SE_JUPITER, offset: 0, maxSpeed: 0.25, stations: true },
+  saturn: { name: 'Saturn', id: swisseph.SE_SATURN, offset: 0, maxSpeed: 0.14, stations: true },
+  uranus: { name: 'Uranus', id: swisseph.SE_URANUS, offset: 0, maxSpeed: 0.07, stations: true },
+  neptune: { name: 'Neptune', id: swisseph.SE_NEPTUNE, offset: 0, maxSpeed: 0.04, stations: true },
+  pluto: { name: 'Pluto', id: swisseph.SE_PLUTO, offset: 0, maxSpeed: 0.04, stations: true },
+  'north-node': { name: 'North Node', id: swisseph.SE_TRUE_NODE, offset: 0, maxSpeed: 0.26, reverses: true, stepDays: 0.25 },
+  'south-node': { name: 'South Node', id: swisseph.SE_TRUE_NODE, offset: 180, maxSpeed: 0.26, reverses: true, stepDays: 0.25 },
+  chiron: { name: 'Chiron', id: swisseph.SE_CHIRON, offset: 0, maxSpeed: 0.15, stations: true }
+};
+
+const ingressEventTypes = ['gates', 'lines', 'stations'];
+
+const LINE_DEGREES = 0.9375; // 360 / 384 lines
+
+// Planetary cycles measured against the natal position. The nth event is expected around
+// (n - 0.5) periods after birth for oppositions and n periods for returns; `windowYears` is the
+// search margin either side and `stepDays` the sampling step (well under a retrograde loop).
+const returnCycles = {
+  solar: { name: 'Solar Return', body: 'Sun', id: swisseph.SE_SUN, angle: 0, periodYears: 1, windowYears: 0.03, stepDays: 1 },
+  saturn: { name: 'Saturn Return', body: 'Saturn', id: swisseph.SE_SATURN, angle: 0, periodYears: 29.46, windowYears: 3, stepDays: 5 },
+  'saturn-opposition': { name: 'Saturn Opposition', body: 'Saturn', id: swisseph.SE_SATURN, angle: 180, periodYears: 29.46, windowYears: 3, stepDays: 5 },
+  'uranus-opposition': { name: 'Uranus Opposition', body: 'Uranus', id: swisseph.SE_URANUS, angle: 180, periodYears: 84.02, windowYears: 5, stepDays: 10 },
+  chiron: { name: 'Chiron Return', body: 'Chiron', id: swisseph.SE_CHIRON, angle: 0, periodYears: 50.7, windowYears: 4, stepDays: 5 }
+};
+
+const DAYS_PER_YEAR = 365.2422;
+
+// Life-phase milestones, in the order they usually fall
+const lifeCycleEvents = [
+  { cycle: 'saturn-opposition', number: 1, theme: 'The first test of the structures handed down in childhood; adolescence pushes against them.' },
+  { cycle: 'saturn', number: 1, theme: 'The end of the first life phase - the structures of youth are tested and rebuilt on your own authority.' },
+  { cycle: 'uranus-opposition', number: 1, theme: 'The midlife turn - a push to live out what is unique in you before the second half of life.' },
+  { cycle: 'chiron', number: 1, theme: 'The start of the third life phase - from here you live as an example of your own design.' },
+  { cycle: 'saturn', number: 2, theme: 'The second Saturn Return - a review of what has been built and a letting go of what no longer serves.' },
+  { cycle: 'saturn', number: 3, theme: 'The third Saturn Return - the elder years, reflecting on the whole of the life.' }
+];
+
 class HDKitCalculator {
   constructor() {
     console.log('🌟 Initializing SAGE Human Design Calculator with Swiss Ephemeris...');
     
-    // Use Swiss Ephemeris Moshier approximations (built-in, no external files needed)
-    // This provides excellent accuracy for 1900-2100 without requiring 2GB+ files
-    this.flag = swisseph.SEFLG_MOSEPH;
+    // Backend comes from EPHEMERIS_BACKEND (moshier by default - built-in, no external files needed)
+    this.ephemeris = configureEphemeris();
+    this.flag = this.ephemeris.flag;
     this.HD_OFFSET_DEGREES = 58; // HD gates start at 2° Aquarius, offset from 0° Aries
+    this.activationBodies = activationBodies; // The bodies that define gates, for the renderers
     
-    console.log('✅ Swiss Ephemeris initialized with built-in approximations (no external files)');
+    console.log(`✅ Swiss Ephemeris initialized with ${this.ephemeris.name} (${this.ephemeris.path})`);
+
+    // Description and Link texts; CONTENT_PACKS adds editor copy over the built-in texts
+    this.content = configureContent();
+    console.log(`📚 Content loaded (built-in${this.content.packs.map(pack => ` + ${pack}`).join('')})`);
+  }
+
+  /**
+   * Active ephemeris backend and its valid date range, as reported by /api/health and every chart
+   */
+  getEphemerisInfo() {
+    const [fromYear, toYear] = this.ephemeris.dateRange || [];
+    return {
+      Backend: this.ephemeris.backend,
+      Name: this.ephemeris.name,
+      Path: this.ephemeris.path,
+      File: this.ephemeris.file,
+      ValidFrom: fromYear !== undefined ? fromYear : null,
+      ValidTo: toYear !== undefined ? toYear : null,
+      SwissEphemerisVersion: swisseph.swe_version()
+    };
   }
 
   async calculateChart(params) {
-    const { birthTime, timezone, latitude = 51.5074, longitude = -0.1278 } = params;
+    const { birthTime, timezone, latitude = null, longitude = null } = params;
+    const bodyOptions = this.parseBodies(params.bodies);
+    // Names, Options and Descriptions follow the locale; Ids stay English
+    const t = translator(params.locale);
+    const describe = (section, id) => this.content.describe(section, id, t.locale);
     
     try {
       console.log(`📅 Calculating HD chart for: ${birthTime} (${timezone})`);
       
       // Parse and convert to UTC
       const utcDate = moment.tz(birthTime, timezone).utc().toDate();
+      this.assertInEphemerisRange(utcDate);
       
       // Calculate Julian Day
       const julianDay = await this.getJulianDay(utcDate);
       
       // Calculate planetary positions for Personality (birth time)
-      const personalityPlanets = await this.calculateSwissEphemerisPositions(julianDay, 'Personality');
+      const personalityPlanets = await this.calculateSwissEphemerisPositions(julianDay, 'Personality', bodyOptions);
       
       // Calculate Design date (88° retrograde)
       const designJulianDay = await this.findDesignDate(julianDay, personalityPlanets.Sun.eclipticLongitude);
-      const designPlanets = await this.calculateSwissEphemerisPositions(designJulianDay, 'Design');
+      const designDate = this.julianDayToDate(designJulianDay);
+      const designPlanets = await this.calculateSwissEphemerisPositions(designJulianDay, 'Design', bodyOptions);
       
       // Determine activations
       const gates = this.extractGates(personalityPlanets, designPlanets);
       const channels = this.calculateChannels(gates);
       const definedCenters = this.calculateDefinedCenters(channels);
       const openCenters = this.calculateOpenCenters(definedCenters);
+      const { consciousCenters, unconsciousCenters } = this.calculateCenterActivations(personalityPlanets, designPlanets, channels, definedCenters);
       
       // Determine type and authority
       const type = this.determineType(definedCenters, channels);
-      const authority = this.determineAuthority(definedCenters);
+      const { authority, rule: authorityRule } = this.determineAuthority(type, definedCenters, channels);
       const profile = this.calculateProfile(personalityPlanets.Sun, designPlanets.Sun);
       const incarnationCross = this.calculateIncarnationCross(personalityPlanets, designPlanets);
+      const definition = this.calculateDefinition(channels);
       
-      console.log(`Generated ${type} with ${authority} authority, profile ${profile}`);
+      console.log(`Generated ${type} with ${authority} authority, profile ${profile}, ${incarnationCross.name}`);
       
       return {
         properties: {
           Type: {
-            Name: 'Type',
+            Name: t.name('Type'),
             Id: type,
-            Option: type,
-            Description: '',
-            Link: ''
+            Option: t.option('types', type),
+            ...describe('types', type)
           },
           Strategy: {
-            Name: 'Strategy',
+            Name: t.name('Strategy'),
             Id: this.getStrategy(type),
-            Option: this.getStrategy(type),
-            Description: '',
-            Link: ''
+            Option: t.option('strategies', this.getStrategy(type)),
+            ...describe('strategies', type)
           },
           InnerAuthority: {
-            Name: 'Inner Authority',
+            Name: t.name('Inner Authority'),
             Id: authority,
-            Option: authority,
-            Description: '',
-            Link: ''
+            Option: t.option('authorities', authority),
+            Rule: authorityRule,
+            RuleLocale: 'en',
+            ...describe('authorities', authority)
           },
           Definition: {
-            Name: 'Definition',
-            Id: this.calculateDefinition(definedCenters, channels),
-            Option: this.calculateDefinition(definedCenters, channels),
-            Description: '',
-            Link: ''
+            Name: t.name('Definition'),
+            Id: definition.definition,
+            Option: t.option('definitions', definition.definition),
+            ComponentCount: definition.componentCount,
+            Areas: definition.areas,
+            ...describe('definitions', definition.definition)
           },
           Profile: {
-            Name: 'Profile',
+            Name: t.name('Profile'),
             Id: profile,
             Option: profile,
-            Description: '',
-            Link: ''
+            ...describe('profiles', profile)
           },
           IncarnationCross: {
-            Name: 'Incarnation Cross',
-            Id: incarnationCross,
-            Option: incarnationCross,
-            Description: '',
-            Link: ''
+            Name: t.name('Incarnation Cross'),
+            Id: incarnationCross.name,
+            Option: `${incarnationCross.name} (${incarnationCross.gateLabel})`,
+            OptionLocale: 'en',
+            Angle: t.option('angles', incarnationCross.angle),
+            Quarter: t.option('quarters', incarnationCross.quarter),
+            QuarterTheme: t.option('quarters', incarnationCross.quarterTheme),
+            Gates: incarnationCross.chartGates,
+            ...describe('crosses', incarnationCross.name)
           },
           Signature: {
-            Name: 'Signature',
+            Name: t.name('Signature'),
             Id: this.getSignature(type),
-            Option: this.getSignature(type),
-            Description: '',
-            Link: ''
+            Option: t.option('signatures', this.getSignature(type)),
+            ...describe('signatures', type)
           },
           NotSelfTheme: {
-            Name: 'Not Self Theme',
+            Name: t.name('Not Self Theme'),
             Id: this.getNotSelfTheme(type),
-            Option: this.getNotSelfTheme(type),
-            Description: '',
-            Link: ''
+            Option: t.option('notSelfThemes', this.getNotSelfTheme(type)),
+            ...describe('notSelfThemes', type)
           },
           Gates: {
-            Name: 'Gates',
+            Name: t.name('Gates'),
             Id: 'Gates',
-            List: gates.map(gate => ({ Option: gate, Description: '', Link: '' }))
+            List: gates.map(gate => ({ Option: gate, ...describe('gates', gate) }))
           },
           Channels: {
-            Name: 'Channels',
+            Name: t.name('Channels'),
             Id: 'Channels',
-            List: channels.map(channel => ({ Option: channel, Description: '', Link: '' }))
+            List: channels.map(channel => ({ Option: channel, ...describe('channels', channel) }))
           }
         },
         personality: personalityPlanets,
         design: designPlanets,
-        unconsciousCenters: [],
-        consciousCenters: [],
+        designDateUtc: designDate,
+        designJulianDay: designJulianDay,
+        unconsciousCenters: unconsciousCenters,
+        consciousCenters: consciousCenters,
         definedCenters: definedCenters,
         openCenters: openCenters,
         channels: channels,
         gates: gates,
-        planets: this.getPlanetList(),
+        planets: this.getPlanetList(bodyOptions, t.locale),
         variables: this.calculateVariables(personalityPlanets, designPlanets),
-        tooltips: this.generateTooltips()
+        ephemeris: this.getEphemerisInfo(),
+        tooltips: this.generateTooltips(t.locale)
       };
       
     } catch (error) {
@@ -204,6 +298,14 @@ class HDKitCalculator {
     }
   }
 
+  assertInEphemerisRange(date) {
+    const [fromYear, toYear] = this.ephemeris.dateRange || [];
+    const year = date.getUTCFullYear();
+    if (fromYear !== undefined && (year < fromYear || year > toYear)) {
+      throw new Error(`${year} is outside the ${this.ephemeris.name} range (${fromYear} to ${toYear})`);
+    }
+  }
+
   /**
    * Convert date to Julian Day using Swiss Ephemeris
    */
@@ -213,7 +315,7 @@ class HDKitCalculator {
         date.getUTCFullYear(),
         date.getUTCMonth() + 1, // Swiss Eph months are 1-indexed
         date.getUTCDate(),
-        date.getUTCHours() + (date.getUTCMinutes() / 60),
+        date.getUTCHours() + (date.getUTCMinutes() / 60) + (date.getUTCSeconds() / 3600) + (date.getUTCMilliseconds() / 3600000),
         swisseph.SE_GREG_CAL,
         (julianDay) => {
           if (julianDay) {
@@ -226,10 +328,39 @@ class HDKitCalculator {
     });
   }
 
+  /**
+   * Parse the opt-in `bodies` option (array or comma-separated string), e.g. 'chiron,true-lilith,mean-node'
+   */
+  parseBodies(bodies = []) {
+    const tokens = (Array.isArray(bodies) ? bodies : String(bodies).split(','))
+      .map(token => token.trim().toLowerCase())
+      .filter(Boolean);
+    
+    const invalid = tokens.filter(token => !optionalBodies[token] && !nodeTypes[token]);
+    if (invalid.length > 0) {
+      throw new Error(`Unknown bodies: ${invalid.join(', ')}. Valid values: ${[...Object.keys(optionalBodies), ...Object.keys(nodeTypes)].join(', ')}`);
+    }
+    
+    return {
+      extra: tokens.filter(token => optionalBodies[token]).map(token => optionalBodies[token]),
+      node: tokens.includes('mean-node') ? 'mean-node' : 'true-node'
+    };
+  }
+
+  /**
+   * Convert a Julian Day back to a UTC Date
+   */
+  julianDayToDate(julianDay) {
+    const { year, month, day, hour } = swisseph.swe_revjul(julianDay, swisseph.SE_GREG_CAL);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setTime(date.getTime() + Math.round(hour * 3600000));
+    return date;
+  }
+
   /**
    * Calculate planetary positions using Swiss Ephemeris
    */
-  async calculateSwissEphemerisPositions(julianDay, side = 'Personality') {
+  async calculateSwissEphemerisPositions(julianDay, side = 'Personality', bodyOptions = this.parseBodies()) {
     const planets = {
       Sun: swisseph.SE_SUN,
       Moon: swisseph.SE_MOON,
@@ -241,7 +372,7 @@ class HDKitCalculator {
       Uranus: swisseph.SE_URANUS,
       Neptune: swisseph.SE_NEPTUNE,
       Pluto: swisseph.SE_PLUTO,
-      'North Node': swisseph.SE_TRUE_NODE
+      'North Node': nodeTypes[bodyOptions.node]
     };
 
     const results = {};
@@ -270,19 +401,71 @@ class HDKitCalculator {
       }
     }
 
+    for (const body of bodyOptions.extra) {
+      try {
+        const position = await this.getPlanetPosition(julianDay, body.id);
+        results[body.name] = this.createSwissEphPlanetData(position.longitude, body.name);
+      } catch (error) {
+        console.error(`❌ Failed to calculate ${body.name} (${side}):`, error.message);
+      }
+    }
+
+    // Fixing needs every activation of the side, so it is applied once all positions are known
+    activationBodies.filter(body => results[body]).forEach(body => {
+      results[body].FixingState = this.calculateFixingState(body, results[body], results);
+    });
+
     return results;
   }
 
+  /**
+   * Exalted, Detriment, Juxtaposed (both) or None for one activation, from the Rave I'Ching fixings table.
+   * A line is exalted (or in detriment) when its exalting (detrimenting) planet is the activating planet,
+   * or when that planet sits in the same gate or its harmonic on the same side (isFixed in hdkit.js).
+   */
+  calculateFixingState(planetName, activation, sidePlanets) {
+    const lineKey = `${activation.Gate}.${activation.Line}`;
+    const exaltingPlanet = (constants.fixings[`${lineKey}.exaltingPlanet`] || '').trim();
+    const detrimentingPlanet = (constants.fixings[`${lineKey}.detrimentingPlanet`] || '').trim();
+    
+    const exalted = !!exaltingPlanet && this.isFixedBy(exaltingPlanet, planetName, activation.Gate, sidePlanets);
+    const detriment = !!detrimentingPlanet && this.isFixedBy(detrimentingPlanet, planetName, activation.Gate, sidePlanets);
+    
+    if (exalted && detriment) return 'Juxtaposed';
+    if (exalted) return 'Exalted';
+    if (detriment) return 'Detriment';
+    return 'None';
+  }
+
+  isFixedBy(fixingPlanet, planetName, gate, sidePlanets) {
+    if (fixingPlanet === planetName) return true;
+    
+    const fixingActivation = sidePlanets[fixingPlanet];
+    if (!fixingActivation) return false;
+    
+    // Integration gates (10, 20, 34, 57) are all harmonic to each other
+    const integrationGates = [34, 20, 10, 57];
+    const fixingGate = fixingActivation.Gate;
+    const harmonicGates = [].concat(constants.harmonicOrder[gateOrder.indexOf(gate)]);
+    
+    return fixingGate === gate || harmonicGates.includes(fixingGate) ||
+      (integrationGates.includes(gate) && integrationGates.includes(fixingGate));
+  }
+
   /**
    * Get position of a single planet using Swiss Ephemeris
    */
   async getPlanetPosition(julianDay, planetId) {
     return new Promise((resolve, reject) => {
       try {
-        swisseph.swe_calc(julianDay, planetId, this.flag, (result) => {
+        swisseph.swe_calc(julianDay, planetId, this.flag | swisseph.SEFLG_SPEED, (result) => {
           if (result.error) {
             reject(new Error(result.error));
           } else {
+            // Swiss Ephemeris silently drops to Moshier when the configured files don't cover a date
+            if (result.rflag !== undefined && (result.rflag & this.flag) === 0) {
+              console.warn(`⚠️ ${this.ephemeris.name} unavailable for JD ${julianDay}, Swiss Ephemeris fell back (rflag ${result.rflag})`);
+            }
             resolve({
               longitude: result.longitude,
               latitude: result.latitude,
@@ -298,79 +481,340 @@ class HDKitCalculator {
   }
 
   /**
-   * Find Design date by calculating 88° retrograde from Sun position
+   * Find Design date: the moment the Sun was exactly 88° behind its birth longitude
    */
   async findDesignDate(personalityJulianDay, sunLongitude) {
-    console.log(`🔍 Finding Design date for Sun at ${sunLongitude}°`);
+    const targetLongitude = (sunLongitude - 88 + 360) % 360;
     
-    // Calculate target Design longitude (88° retrograde from Personality Sun)
-    let targetLongitude = sunLongitude - 88;
-    if (targetLongitude < 0) targetLongitude += 360;
+    // The Sun never goes retrograde and covers 88° in roughly 86-92 days, so this window always brackets the root
+    const designJulianDay = await this.solveLongitude(swisseph.SE_SUN, targetLongitude, personalityJulianDay - 96, personalityJulianDay - 82);
     
-    console.log(`🎯 Target Design Sun longitude: ${targetLongitude}°`);
+    console.log(`✅ Design date found at Julian Day ${designJulianDay} (Sun at ${targetLongitude.toFixed(6)}°)`);
+    return designJulianDay;
+  }
+
+  /**
+   * Solve for the moment between `lowJulianDay` and `highJulianDay` when a body reaches `targetLongitude`.
+   * Newton steps use the body's longitude speed; a bracket that always contains the root catches steps
+   * that overshoot (or stall near a station), falling back to bisection. Differences are wrapped to
+   * ±180° so targets on either side of 0°/360° work. The window must contain exactly one crossing.
+   */
+  async solveLongitude(planetId, targetLongitude, lowJulianDay, highJulianDay, toleranceDays = 1e-6) {
+    const offset = position => ((position.longitude - targetLongitude + 540) % 360) - 180;
     
-    // Coarse search: Start approximately 85-95 days before birth
-    let searchJulianDay = personalityJulianDay - 95;
-    let bestMatch = null;
-    let bestDifference = 999;
+    let low = lowJulianDay;
+    let high = highJulianDay;
+    const lowOffset = offset(await this.getPlanetPosition(low, planetId));
+    const highOffset = offset(await this.getPlanetPosition(high, planetId));
     
-    // Phase 1: Coarse search with 0.1 day increments
-    for (let i = 0; i < 200; i++) {
-      try {
-        const currentJulianDay = searchJulianDay + (i * 0.1);
-        const sunPosition = await this.getPlanetPosition(currentJulianDay, swisseph.SE_SUN);
-        
-        // Calculate difference from target longitude
-        let difference = Math.abs(targetLongitude - sunPosition.longitude);
-        if (difference > 180) difference = 360 - difference;
-        
-        // Track the best match
-        if (difference < bestDifference) {
-          bestDifference = difference;
-          bestMatch = currentJulianDay;
-        }
-        
-      } catch (error) {
-        continue;
-      }
+    if (Math.sign(lowOffset) === Math.sign(highOffset)) {
+      throw new Error(`Longitude ${targetLongitude.toFixed(4)}° is not crossed between JD ${low} and JD ${high}`);
     }
     
-    if (!bestMatch) {
-      console.warn('⚠️ Using fallback Design date calculation');
-      return personalityJulianDay - 88.5;
-    }
+    // Orient the bracket so the offset is negative at `low`
+    const rising = lowOffset < 0;
+    let julianDay = low + (high - low) * (-lowOffset / (highOffset - lowOffset));
     
-    // Phase 2: Fine search around best match with 0.001 day increments (~1.4 minutes)
-    let fineSearchStart = bestMatch - 0.5; // Search ±0.5 days around best match
-    let finalBestMatch = bestMatch;
-    let finalBestDifference = bestDifference;
+    for (let iteration = 0; iteration < 50; iteration++) {
+      const position = await this.getPlanetPosition(julianDay, planetId);
+      const difference = offset(position);
+      
+      if ((difference < 0) === rising) {
+        low = julianDay;
+      } else {
+        high = julianDay;
+      }
+      
+      let next = position.speed ? julianDay - difference / position.speed : NaN;
+      if (!(next > Math.min(low, high) && next < Math.max(low, high))) {
+        next = (low + high) / 2;
+      }
+      
+      if (Math.abs(next - julianDay) < toleranceDays) {
+        return next;
+      }
+      julianDay = next;
+    }
     
-    for (let i = 0; i < 1000; i++) {
-      try {
-        const currentJulianDay = fineSearchStart + (i * 0.001);
-        const sunPosition = await this.getPlanetPosition(currentJulianDay, swisseph.SE_SUN);
-        
-        let difference = Math.abs(targetLongitude - sunPosition.longitude);
-        if (difference > 180) difference = 360 - difference;
-        
-        if (difference < finalBestDifference) {
-          finalBestDifference = difference;
-          finalBestMatch = currentJulianDay;
-        }
-        
-        // If we're extremely close, return immediately
-        if (difference < 0.001) {
-          console.log(`✅ Ultra-precise Design date found at Julian Day ${currentJulianDay} (difference: ${difference.toFixed(6)}°)`);
-          return currentJulianDay;
+    return julianDay;
+  }
+
+  /**
+   * Parse the ingress calendar `bodies` option; defaults to the 13 activation bodies
+   */
+  parseIngressBodies(bodies) {
+    const tokens = (Array.isArray(bodies) ? bodies : String(bodies || '').split(','))
+      .map(token => token.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (tokens.length === 0) {
+      return Object.keys(ingressBodies).filter(key => key !== 'chiron');
+    }
+
+    const invalid = tokens.filter(token => !ingressBodies[token]);
+    if (invalid.length > 0) {
+      throw new Error(`Unknown bodies: ${invalid.join(', ')}. Valid values: ${Object.keys(ingressBodies).join(', ')}`);
+    }
+    return [...new Set(tokens)];
+  }
+
+  /**
+   * Parse the ingress calendar `events` option - any of gates, lines, stations (all by default)
+   */
+  parseIngressEvents(events) {
+    const tokens = String(events || ingressEventTypes.join(','))
+      .split(',')
+      .map(token => token.trim().toLowerCase())
+      .filter(Boolean);
+
+    const invalid = tokens.filter(token => !ingressEventTypes.includes(token));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown events: ${invalid.join(', ')}. Valid values: ${ingressEventTypes.join(', ')}`);
+    }
+    return {
+      gates: tokens.includes('gates'),
+      lines: tokens.includes('lines'),
+      stations: tokens.includes('stations')
+    };
+  }
+
+  /**
+   * Gate ingresses, line ingresses and retrograde stations between two Julian Days, sorted by time
+   */
+  async findIngresses(params) {
+    const { fromJulianDay, toJulianDay } = params;
+    const bodies = this.parseIngressBodies(params.bodies);
+    const include = this.parseIngressEvents(params.events);
+    const events = [];
+
+    for (const key of bodies) {
+      events.push(...await this.findBodyIngresses(ingressBodies[key], fromJulianDay, toJulianDay, include));
+    }
+
+    return events.sort((a, b) => a.JulianDay - b.JulianDay);
+  }
+
+  /**
+   * Ingresses of one body. The step is a third of the time the body needs to cross a line at its
+   * fastest (or the body's `stepDays`), so no line is skipped; a station or reversal inside a step
+   * splits it so that each part moves in one direction only.
+   */
+  async findBodyIngresses(body, fromJulianDay, toJulianDay, include) {
+    const step = body.stepDays || LINE_DEGREES / (body.maxSpeed * 3);
+    const events = [];
+    const sample = async julianDay => {
+      const position = await this.getPlanetPosition(julianDay, body.id);
+      return {
+        julianDay,
+        longitude: (position.longitude + body.offset) % 360,
+        speed: position.speed
+      };
+    };
+
+    let previous = await sample(fromJulianDay);
+    while (previous.julianDay < toJulianDay) {
+      const current = await sample(Math.min(previous.julianDay + step, toJulianDay));
+      let segments = [[previous, current]];
+
+      if ((body.stations || body.reverses) && previous.speed !== 0 && Math.sign(previous.speed) !== Math.sign(current.speed)) {
+        const station = await sample(await this.solveStation(body.id, previous.julianDay, current.julianDay));
+        if (body.stations && include.stations) {
+          events.push({
+            ...this.createIngressEvent(body, 'Station', station.julianDay, this.lineIndex(station.longitude)),
+            Direction: current.speed < 0 ? 'Retrograde' : 'Direct'
+          });
         }
-        
+        segments = [[previous, station], [station, current]];
+      }
+
+      for (const [start, end] of segments) {
+        events.push(...await this.findLineCrossings(body, start, end, include));
+      }
+      previous = current;
+    }
+
+    return events;
+  }
+
+  /**
+   * Line boundaries crossed between two samples with no station between them
+   */
+  async findLineCrossings(body, start, end, include) {
+    const startIndex = this.lineIndex(start.longitude);
+    const endIndex = this.lineIndex(end.longitude);
+    if (startIndex === endIndex) return [];
+
+    const forward = ((end.longitude - start.longitude + 540) % 360) - 180 >= 0;
+    const count = forward ? (endIndex - startIndex + 384) % 384 : (startIndex - endIndex + 384) % 384;
+    const events = [];
+
+    for (let crossing = 1; crossing <= count; crossing++) {
+      const fromIndex = (startIndex + (forward ? crossing - 1 : 1 - crossing) + 384) % 384;
+      const toIndex = (startIndex + (forward ? crossing : -crossing) + 384) % 384;
+      const gateChanged = Math.floor(fromIndex / 6) !== Math.floor(toIndex / 6);
+      if (!(gateChanged ? include.gates : include.lines)) continue;
+
+      // A line starts at the boundary with the line below it
+      const boundary = ((forward ? toIndex : fromIndex) * LINE_DEGREES - this.HD_OFFSET_DEGREES + 360) % 360;
+      const julianDay = await this.solveLongitude(body.id, (boundary - body.offset + 360) % 360, start.julianDay, end.julianDay);
+
+      events.push({
+        ...this.createIngressEvent(body, gateChanged ? 'Gate' : 'Line', julianDay, toIndex),
+        From: { Gate: gateOrder[Math.floor(fromIndex / 6)], Line: (fromIndex % 6) + 1 },
+        Retrograde: !forward
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Moment the body's longitude speed changes sign between two Julian Days (bisection)
+   */
+  async solveStation(planetId, lowJulianDay, highJulianDay, toleranceDays = 1e-5) {
+    let low = lowJulianDay;
+    let high = highJulianDay;
+    const lowSign = Math.sign((await this.getPlanetPosition(low, planetId)).speed);
+
+    while (high - low > toleranceDays) {
+      const middle = (low + high) / 2;
+      if (Math.sign((await this.getPlanetPosition(middle, planetId)).speed) === lowSign) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    return (low + high) / 2;
+  }
+
+  // Index of the line (0-383) around the wheel, counted from the start of Gate 41
+  lineIndex(eclipticLongitude) {
+    return Math.floor(((eclipticLongitude + this.HD_OFFSET_DEGREES) % 360) / LINE_DEGREES) % 384;
+  }
+
+  createIngressEvent(body, type, julianDay, lineIndex) {
+    return {
+      Body: body.name,
+      Type: type,
+      DateUtc: this.julianDayToDate(julianDay).toISOString(),
+      JulianDay: julianDay,
+      Gate: gateOrder[Math.floor(lineIndex / 6)],
+      Line: (lineIndex % 6) + 1
+    };
+  }
+
+  /**
+   * The nth occurrence of a planetary cycle (`returnCycles`) for someone born at `birthDate`.
+   * Slow planets can cross the natal point up to three times around a station; every pass is
+   * returned in `passes` and the first one is the return moment.
+   */
+  async findPlanetaryReturn(params) {
+    const { birthDate, cycle: cycleKey, number = 1 } = params;
+    const cycle = returnCycles[cycleKey];
+    if (!cycle) {
+      throw new Error(`Unknown return type "${cycleKey}". Valid values: ${Object.keys(returnCycles).join(', ')}`);
+    }
+
+    const natalJulianDay = await this.getJulianDay(birthDate);
+    const natalLongitude = (await this.getPlanetPosition(natalJulianDay, cycle.id)).longitude;
+    const targetLongitude = (natalLongitude + cycle.angle) % 360;
+
+    const expectedJulianDay = natalJulianDay + (number - (cycle.angle === 180 ? 0.5 : 0)) * cycle.periodYears * DAYS_PER_YEAR;
+    const margin = cycle.windowYears * DAYS_PER_YEAR;
+    this.assertInEphemerisRange(this.julianDayToDate(expectedJulianDay + margin));
+
+    const passes = await this.findLongitudeCrossings(cycle.id, targetLongitude, expectedJulianDay - margin, expectedJulianDay + margin, cycle.stepDays);
+    if (passes.length === 0) {
+      throw new Error(`No ${cycle.name} #${number} found within ${cycle.windowYears} years of the expected date`);
+    }
+
+    return {
+      type: cycleKey,
+      name: cycle.name,
+      body: cycle.body,
+      number,
+      natalLongitude,
+      targetLongitude,
+      julianDay: passes[0],
+      date: this.julianDayToDate(passes[0]),
+      passes: passes.map(julianDay => ({ julianDay, date: this.julianDayToDate(julianDay) }))
+    };
+  }
+
+  /**
+   * Life-phase timeline for a natal chart (from calculateChart) born at `birthDate`: Saturn opposition,
+   * Saturn returns, Uranus opposition and Chiron return, each with the transiting gate and line and the
+   * natal activations it touches. Milestones outside the ephemeris range are left out.
+   */
+  async calculateLifeCycles(natalChart, birthDate) {
+    const natalGates = new Set(natalChart.gates);
+    const milestones = [];
+
+    for (const event of lifeCycleEvents) {
+      let planetaryReturn;
+      try {
+        planetaryReturn = await this.findPlanetaryReturn({ birthDate, cycle: event.cycle, number: event.number });
       } catch (error) {
+        console.warn(`⚠️ Skipping ${event.cycle} #${event.number}: ${error.message}`);
         continue;
       }
+
+      const transit = this.createSwissEphPlanetData(planetaryReturn.targetLongitude, planetaryReturn.body);
+      const touches = [['Personality', natalChart.personality], ['Design', natalChart.design]]
+        .flatMap(([side, planets]) => Object.entries(planets)
+          .filter(([, activation]) => activation.Gate === transit.Gate)
+          .map(([planet, activation]) => ({
+            Side: side,
+            Planet: planet,
+            Gate: activation.Gate,
+            Line: activation.Line,
+            SameLine: activation.Line === transit.Line
+          })));
+
+      milestones.push({
+        Event: event.number > 1 || event.cycle === 'saturn' ? `${planetaryReturn.name} #${event.number}` : planetaryReturn.name,
+        Type: event.cycle,
+        Number: event.number,
+        Planet: planetaryReturn.body,
+        DateUtcIso: planetaryReturn.date.toISOString(),
+        Age: Math.round((planetaryReturn.date - birthDate) / (DAYS_PER_YEAR * 86400000) * 10) / 10,
+        Passes: planetaryReturn.passes.map(pass => pass.date.toISOString()),
+        Gate: transit.Gate,
+        Line: transit.Line,
+        Touches: touches,
+        CompletesChannels: this.calculateChannels([...natalGates, transit.Gate])
+          .filter(channel => !natalChart.channels.includes(channel)),
+        Theme: event.theme
+      });
     }
-    
-    console.log(`✅ Precise Design date found at Julian Day ${finalBestMatch} (difference: ${finalBestDifference.toFixed(6)}°)`);
-    return finalBestMatch;
+
+    return milestones.sort((a, b) => a.DateUtcIso.localeCompare(b.DateUtcIso));
+  }
+
+  /**
+   * Every moment between two Julian Days at which a body reaches `targetLongitude`, in either direction.
+   * Sign changes of the ±180° offset only count near the target, not where it wraps on the far side.
+   */
+  async findLongitudeCrossings(planetId, targetLongitude, fromJulianDay, toJulianDay, stepDays) {
+    const offsetAt = async julianDay => ((await this.getPlanetPosition(julianDay, planetId)).longitude - targetLongitude + 540) % 360 - 180;
+    const crossings = [];
+
+    let previousJulianDay = fromJulianDay;
+    let previousOffset = await offsetAt(previousJulianDay);
+    while (previousJulianDay < toJulianDay) {
+      const julianDay = Math.min(previousJulianDay + stepDays, toJulianDay);
+      const offset = await offsetAt(julianDay);
+
+      if (Math.sign(offset) !== Math.sign(previousOffset) && Math.abs(offset) < 90 && Math.abs(previousOffset) < 90) {
+        crossings.push(await this.solveLongitude(planetId, targetLongitude, previousJulianDay, julianDay));
+      }
+
+      previousJulianDay = julianDay;
+      previousOffset = offset;
+    }
+
+    return crossings;
   }
 
   /**
@@ -607,12 +1051,9 @@ class HDKitCalculator {
   extractGates(personalityPlanets, designPlanets) {
     const gates = new Set();
     
-    Object.values(personalityPlanets).forEach(planet => {
-      gates.add(planet.Gate);
-    });
-    
-    Object.values(designPlanets).forEach(planet => {
-      gates.add(planet.Gate);
+    activationBodies.forEach(body => {
+      if (personalityPlanets[body]) gates.add(personalityPlanets[body].Gate);
+      if (designPlanets[body]) gates.add(designPlanets[body].Gate);
     });
     
     return Array.from(gates).sort((a, b) => a - b);
@@ -635,58 +1076,52 @@ class HDKitCalculator {
   calculateDefinedCenters(channels) {
     const definedCenters = new Set();
     
-    // Map channels to centers
-    const channelToCenters = {
-      '1-8': ['G', 'Throat'],
-      '2-14': ['G', 'Sacral'],
-      '3-60': ['Root', 'Sacral'],
-      '4-63': ['Ajna', 'Head'],
-      '5-15': ['G', 'Sacral'],
-      '6-59': ['Solar Plexus', 'Sacral'],
-      '7-31': ['G', 'Throat'],
-      '9-52': ['Root', 'Sacral'],
-      '10-20': ['G', 'Throat'],
-      '10-34': ['G', 'Sacral'],
-      '10-57': ['G', 'Splenic'],
-      '11-56': ['Ajna', 'Throat'],
-      '12-22': ['Throat', 'Solar Plexus'],
-      '13-33': ['G', 'Throat'],
-      '16-48': ['Throat', 'Splenic'],
-      '17-62': ['Ajna', 'Throat'],
-      '18-58': ['Root', 'Splenic'],
-      '19-49': ['Root', 'Solar Plexus'],
-      '20-34': ['Throat', 'Sacral'],
-      '20-57': ['Throat', 'Splenic'],
-      '21-45': ['Heart', 'Throat'],
-      '23-43': ['Ajna', 'Throat'],
-      '24-61': ['Ajna', 'Head'],
-      '25-51': ['G', 'Heart'],
-      '26-44': ['Heart', 'Splenic'],
-      '27-50': ['Sacral', 'Splenic'],
-      '28-38': ['Root', 'Splenic'],
-      '29-46': ['Sacral', 'G'],
-      '30-41': ['Solar Plexus', 'Heart'],
-      '32-54': ['Root', 'Splenic'],
-      '34-57': ['Sacral', 'Splenic'],
-      '35-36': ['Throat', 'Solar Plexus'],
-      '37-40': ['Solar Plexus', 'Heart'],
-      '39-55': ['Root', 'Solar Plexus'],
-      '42-53': ['Root', 'Sacral'],
-      '47-64': ['Ajna', 'Head']
-    };
-    
     channels.forEach(channel => {
-      const centerPair = channelToCenters[channel];
+      const centerPair = channelCenters[channel];
       if (centerPair) {
-        centerPair.forEach(center => {
-          definedCenters.add(centers[center.toUpperCase().replace(' ', '_')] || center + ' center');
-        });
+        centerPair.forEach(center => definedCenters.add(center));
       }
     });
     
     return Array.from(definedCenters);
   }
 
+  /**
+   * Split defined centers by which side defines them.
+   * A channel completed by Personality gates alone is conscious, by Design gates alone unconscious,
+   * and a channel that needs gates from both sides counts for both.
+   */
+  calculateCenterActivations(personalityPlanets, designPlanets, channels, definedCenters) {
+    return this.splitCentersBySide(this.activationGates(personalityPlanets), this.activationGates(designPlanets), channels, definedCenters);
+  }
+
+  // Gates of the activation bodies on one side
+  activationGates(planets) {
+    return new Set(activationBodies.filter(body => planets[body]).map(body => planets[body].Gate));
+  }
+
+  splitCentersBySide(personalityGates, designGates, channels, definedCenters) {
+    const conscious = new Set();
+    const unconscious = new Set();
+
+    channels.forEach(channel => {
+      const channelGates = channel.split('-').map(Number);
+      const byPersonality = channelGates.every(gate => personalityGates.has(gate));
+      const byDesign = channelGates.every(gate => designGates.has(gate));
+      const centerPair = channelCenters[channel] || [];
+
+      centerPair.forEach(center => {
+        if (byPersonality || !byDesign) conscious.add(center);
+        if (byDesign || !byPersonality) unconscious.add(center);
+      });
+    });
+
+    return {
+      consciousCenters: definedCenters.filter(center => conscious.has(center)),
+      unconsciousCenters: definedCenters.filter(center => unconscious.has(center))
+    };
+  }
+
   calculateOpenCenters(definedCenters) {
     const allCenters = Object.values(centers);
     return allCenters.filter(center => !definedCenters.includes(center));
@@ -725,53 +1160,39 @@ class HDKitCalculator {
   }
 
   hasMotorToThroat(channels) {
-    const motorToThroatChannels = [
-      '12-22', '35-36', // Solar Plexus to Throat  
-      '21-45', '26-44', // Heart to Throat
-      '20-34', '20-57', '10-20', '10-34', '10-57', // Sacral to Throat
-      '58-18', // Root to Throat
-      '37-40' // Solar Plexus to Throat
-      // NOTE: '19-49' removed - both gates are Solar Plexus (internal channel)
-    ];
-    
-    return channels.some(channel => motorToThroatChannels.includes(channel));
+    // Walk the defined-center graph from the Throat looking for a motor
+    return hasMotorToThroat(channels);
   }
 
-  determineAuthority(definedCenters) {
+  determineAuthority(type, definedCenters, channels) {
+    const isDefined = center => definedCenters.includes(center);
+    const connectedToThroat = reachableCenters(buildCenterGraph(channels), centers.THROAT);
+
     // Inner authorities (in order of priority)
-    if (definedCenters.includes(centers.SOLAR_PLEXUS)) {
-      return 'Emotional - Solar Plexus';
+    if (type === hdTypes.REFLECTOR) {
+      return { authority: 'Lunar', rule: 'Reflector with no defined centers waits a full lunar cycle' };
     }
-    if (definedCenters.includes(centers.SACRAL)) {
-      return 'Sacral';
+    if (isDefined(centers.SOLAR_PLEXUS)) {
+      return { authority: 'Emotional - Solar Plexus', rule: 'Solar Plexus is defined' };
     }
-    if (definedCenters.includes(centers.SPLENIC)) {
-      return 'Splenic';
+    if (isDefined(centers.SACRAL)) {
+      return { authority: 'Sacral', rule: 'Sacral is defined and Solar Plexus is open' };
     }
-    if (definedCenters.includes(centers.HEART)) {
-      return 'Heart';
+    if (isDefined(centers.SPLENIC)) {
+      return { authority: 'Splenic', rule: 'Spleen is defined and Solar Plexus and Sacral are open' };
     }
-    if (definedCenters.includes(centers.G)) {
-      return 'Self-Projected';
+    if (isDefined(centers.HEART) && connectedToThroat.has(centers.HEART)) {
+      return { authority: 'Ego Manifested', rule: 'Heart is connected to the Throat' };
     }
-    
-    // For Projectors with no inner authority centers, but with Throat/Ajna
-    // Check if only mental centers (Throat, Ajna, Head) are defined
-    const innerAuthorityCenters = [centers.SOLAR_PLEXUS, centers.SACRAL, centers.SPLENIC, centers.HEART, centers.G];
-    const hasInnerAuthority = innerAuthorityCenters.some(center => definedCenters.includes(center));
-    
-    if (!hasInnerAuthority) {
-      return 'Outer';
+    if (isDefined(centers.HEART)) {
+      return { authority: 'Ego Projected', rule: 'Heart is connected to the G center but not to the Throat' };
     }
-    
-    // Fallback authorities  
-    if (definedCenters.includes(centers.THROAT)) {
-      return 'Throat';
-    }
-    if (definedCenters.includes(centers.AJNA)) {
-      return 'Mental';
+    if (connectedToThroat.has(centers.G)) {
+      return { authority: 'Self-Projected', rule: 'G center is connected to the Throat with no motor defined' };
     }
-    return 'Lunar';
+
+    // Projectors defined only in Head, Ajna and/or Throat have no inner authority
+    return { authority: 'Mental - Environmental', rule: 'Only Head, Ajna and/or Throat are defined' };
   }
 
   calculateProfile(personalitySun, designSun) {
@@ -786,62 +1207,20 @@ class HDKitCalculator {
     const dSun = designPlanets.Sun.Gate;
     const dEarth = designPlanets.Earth.Gate;
     
-    // Determine cross type based on profile
+    // Angle comes from the full profile, the name from the four Sun/Earth gates
     const profile = this.calculateProfile(personalityPlanets.Sun, designPlanets.Sun);
-    const [personalityLine] = profile.split('/');
-    
-    let crossType;
-    if (personalityLine <= 3) {
-      crossType = 'Right Angle Cross';
-    } else if (personalityLine <= 5) {
-      crossType = 'Juxtaposition Cross';
-    } else {
-      crossType = 'Left Angle Cross';
-    }
+    const cross = findIncarnationCross(profile, [pSun, pEarth, dSun, dEarth]);
     
-    return `${crossType} of ${this.getCrossName(pSun)} (${pSun}/${pEarth} | ${dSun}/${dEarth})`;
-  }
-
-  getCrossName(sunGate) {
-    // Simplified cross names - in production, use full cross database
-    const crossNames = {
-      1: 'Self-Expression', 2: 'Direction', 3: 'Ordering', 4: 'Formulas',
-      5: 'Habits', 6: 'Conflict', 7: 'Interaction', 8: 'Contribution',
-      9: 'Focus', 10: 'Behavior', 11: 'Ideas', 12: 'Caution',
-      13: 'Listener', 14: 'Power Skills', 15: 'Extremes', 16: 'Skills',
-      17: 'Opinions', 18: 'Correction', 19: 'Wants', 20: 'Now',
-      21: 'Control', 22: 'Grace', 23: 'Assimilation', 24: 'Return',
-      25: 'Innocence', 26: 'Trickster', 27: 'Caring', 28: 'Struggle',
-      29: 'Commitment', 30: 'Recognition', 31: 'Influence', 32: 'Duration',
-      33: 'Privacy', 34: 'Power', 35: 'Change', 36: 'Crisis',
-      37: 'Friendship', 38: 'Fighter', 39: 'Provocation', 40: 'Aloneness',
-      41: 'Fantasy', 42: 'Growth', 43: 'Insight', 44: 'Coming to Meet',
-      45: 'Gathering', 46: 'Love of Body', 47: 'Oppression', 48: 'Depth',
-      49: 'Revolution', 50: 'Values', 51: 'Shock', 52: 'Inaction',
-      53: 'Development', 54: 'Drive', 55: 'Spirit', 56: 'Stimulation',
-      57: 'Intuition', 58: 'Joy', 59: 'Sexuality', 60: 'Limitation',
-      61: 'Mystery', 62: 'Details', 63: 'Doubt', 64: 'Confusion'
+    return {
+      ...cross,
+      gateLabel: `${pSun}/${pEarth} | ${dSun}/${dEarth}`,
+      label: `${cross.name} (${pSun}/${pEarth} | ${dSun}/${dEarth})`
     };
-    
-    return crossNames[sunGate] || 'Unknown';
   }
 
-  calculateDefinition(definedCenters, channels) {
-    if (definedCenters.length === 0) return 'No Definition';
-    if (definedCenters.length === 1) return 'Single Definition';
-    
-    // For this simple case with 2 centers connected by 1 channel
-    // More complex logic would be needed for multiple channels/centers
-    if (channels.length === 1 && definedCenters.length === 2) {
-      return 'Single Definition';
-    }
-    
-    // Simplified logic - in a complete implementation, you'd analyze
-    // the connectivity graph of centers through channels
-    if (definedCenters.length <= 3) return 'Single Definition';
-    if (definedCenters.length <= 5) return 'Split Definition';
-    if (definedCenters.length <= 7) return 'Triple Split Definition';
-    return 'Quadruple Split Definition';
+  calculateDefinition(channels) {
+    // Centers are nodes and channels are edges; each connected component is one area of definition
+    return analyzeDefinition(channels);
   }
 
   getStrategy(type) {
@@ -877,97 +1256,324 @@ class HDKitCalculator {
     return themes[type] || 'Frustration';
   }
 
+  /**
+   * Variables are read from the Sun and Node activations of each side:
+   * Design Sun = Determination, Design Node = Environment,
+   * Personality Sun = Motivation, Personality Node = Perspective (View).
+   * Tones 1-3 point the arrow left, tones 4-6 right; the Color names the variable.
+   */
   calculateVariables(personalityPlanets, designPlanets) {
+    const arrow = activation => (activation.Tone < 4 ? 'left' : 'right');
+    const describe = (activation, colorTable, toneTable) => {
+      const direction = arrow(activation);
+      const variants = colorTable[`${direction}VariableVariants`];
+      return {
+        Arrow: direction,
+        Color: activation.Color,
+        Name: colorTable[activation.Color],
+        Variant: variants ? variants[activation.Color] : null,
+        Tone: activation.Tone,
+        ToneName: toneTable ? toneTable[activation.Tone] : null
+      };
+    };
+
+    const determination = describe(designPlanets.Sun, loadStrings('determinations'), loadStrings('cognitive-tones'));
+    const environment = describe(designPlanets['North Node'], loadStrings('environments'), loadStrings('environmental-tones'));
+    const motivation = describe(personalityPlanets.Sun, loadStrings('motivations'));
+    const perspective = describe(personalityPlanets['North Node'], loadStrings('views'));
+    const letter = detail => (detail.Arrow === 'left' ? 'L' : 'R');
+
     return {
-      Digestion: 'left',
-      Environment: 'left', 
-      Awareness: 'left',
-      Perspective: 'right'
+      Digestion: determination.Arrow,
+      Environment: environment.Arrow,
+      Awareness: motivation.Arrow,
+      Perspective: perspective.Arrow,
+      Code: `P${letter(motivation)}${letter(perspective)} D${letter(determination)}${letter(environment)}`,
+      Details: {
+        Determination: determination,
+        Environment: environment,
+        Motivation: motivation,
+        Perspective: perspective
+      }
     };
   }
 
-  getPlanetList() {
-    return [
-      { Id: 'Sun', Option: 'Sun', Description: '' },
-      { Id: 'Moon', Option: 'Moon', Description: '' },
-      { Id: 'Mercury', Option: 'Mercury', Description: '' },
-      { Id: 'Venus', Option: 'Venus', Description: '' },
-      { Id: 'Mars', Option: 'Mars', Description: '' },
-      { Id: 'Jupiter', Option: 'Jupiter', Description: '' },
-      { Id: 'Saturn', Option: 'Saturn', Description: '' },
-      { Id: 'Uranus', Option: 'Uranus', Description: '' },
-      { Id: 'Neptune', Option: 'Neptune', Description: '' },
-      { Id: 'Pluto', Option: 'Pluto', Description: '' },
-      { Id: 'North Node', Option: 'North Node', Description: '' },
-      { Id: 'South Node', Option: 'South Node', Description: '' },
-      { Id: 'Chiron', Option: 'Chiron', Description: '' },
-      { Id: 'Earth', Option: 'Earth', Description: '' }
-    ];
-  }
-
-  generateTooltips() {
+  getPlanetList(bodyOptions = this.parseBodies(), locale = DEFAULT_LOCALE) {
+    const t = translator(locale);
+    const planets = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto',
+      'North Node', 'South Node', 'Earth', ...bodyOptions.extra.map(body => body.name)];
+
+    return planets.map(planet => ({
+      Id: planet,
+      Option: t.option('planets', planet),
+      Description: this.content.describe('planets', planet, t.locale).Description
+    }));
+  }
+
+  generateTooltips(locale = DEFAULT_LOCALE) {
+    const t = translator(locale);
     return {
       Centers: Object.keys(centers).map(key => ({
         Id: centers[key].replace(' center', ''),
-        Option: centers[key].replace(' center', ''),
-        Description: ''
+        Option: t.option('centers', centers[key].replace(' center', '')),
+        Description: this.content.describe('centers', centers[key].replace(' center', ''), t.locale).Description
       })),
       Channels: Object.keys(channelDefinitions).map(key => ({
         Id: key,
         Option: key,
-        Description: ''
+        Description: this.content.describe('channels', key, t.locale).Description
       }))
     };
   }
 
-  calculateComposite(chart1, chart2) {
-    // Combine the two charts to show relationship dynamics
-    const allDefinedCenters = [...new Set([...chart1.definedCenters, ...chart2.definedCenters])];
-    const allChannels = [...new Set([...chart1.channels, ...chart2.channels])];
+  /**
+   * Planetary activations at a single moment (the transit), without a Design side
+   */
+  async calculateTransit(params = {}) {
+    const { at = new Date() } = params;
+    const bodyOptions = this.parseBodies(params.bodies);
+    this.assertInEphemerisRange(at);
+
+    const julianDay = await this.getJulianDay(at);
+    const planets = await this.calculateSwissEphemerisPositions(julianDay, 'Transit', bodyOptions);
+    const gates = this.extractGates(planets, {});
+    const channels = this.calculateChannels(gates);
+    const definedCenters = this.calculateDefinedCenters(channels);
+
+    return {
+      at,
+      julianDay,
+      planets,
+      gates,
+      channels,
+      definedCenters,
+      openCenters: this.calculateOpenCenters(definedCenters),
+      planetList: this.getPlanetList(bodyOptions, params.locale)
+    };
+  }
+
+  /**
+   * Overlay a transit on a natal chart. As in calculateComposite the two gate sets are merged;
+   * the result also reports what the transit adds on top of the natal definition.
+   */
+  calculateTransitOverlay(natalChart, transit) {
+    const natalGates = new Set(natalChart.gates);
+    const transitGates = new Set(transit.gates);
+    const gates = [...new Set([...natalChart.gates, ...transit.gates])].sort((a, b) => a - b);
+    const channels = this.calculateChannels(gates);
+    const definedCenters = this.calculateDefinedCenters(channels);
+
+    const newChannels = channels.filter(channel => !natalChart.channels.includes(channel));
+    const temporarilyDefinedCenters = definedCenters.filter(center => !natalChart.definedCenters.includes(center));
+
+    return {
+      ActivatedGates: transit.gates.map(gate => ({
+        Gate: gate,
+        Planets: activationBodies.filter(body => transit.planets[body] && transit.planets[body].Gate === gate),
+        InNatalChart: natalGates.has(gate),
+        CompletesChannels: newChannels.filter(channel => channel.split('-').map(Number).includes(gate))
+      })),
+      NewChannels: newChannels.map(channel => ({
+        Channel: channel,
+        Name: channelDefinitions[channel],
+        Centers: channelCenters[channel],
+        CompletedBy: channel.split('-').map(Number).every(gate => transitGates.has(gate)) ? 'Transit' : 'Natal + Transit'
+      })),
+      TemporarilyDefinedCenters: temporarilyDefinedCenters,
+      DefinedCenters: definedCenters,
+      OpenCenters: this.calculateOpenCenters(definedCenters),
+      Channels: channels,
+      Gates: gates
+    };
+  }
+
+  calculateComposite(chart1, chart2, locale = DEFAULT_LOCALE) {
+    const t = translator(locale);
+    // Combine the two charts to show relationship dynamics. Definition comes from the union of both
+    // people's gates, so electromagnetic channels (one gate each) define centers too.
+    const gates = [...new Set([...chart1.gates, ...chart2.gates])].sort((a, b) => a - b);
+    const channels = this.calculateChannels(gates);
+    const allDefinedCenters = this.calculateDefinedCenters(channels);
+    const definition = this.calculateCompositeDefinition(channels, chart1, chart2);
+    const theme = this.calculateConnectionTheme(allDefinedCenters, t);
+    const themeContent = this.content.describe('connectionThemes', theme.name, t.locale);
+    
+    // Conscious and unconscious from the composite channels, so electromagnetic channels count too
+    const sideGates = side => new Set([...this.activationGates(chart1[side]), ...this.activationGates(chart2[side])]);
+    const { consciousCenters, unconsciousCenters } = this.splitCentersBySide(sideGates('personality'), sideGates('design'), channels, allDefinedCenters);
     
     return {
-      UnconsciousCenters: [],
-      ConsciousCenters: [],
+      UnconsciousCenters: unconsciousCenters,
+      ConsciousCenters: consciousCenters,
       DefinedCenters: allDefinedCenters,
       OpenCenters: this.calculateOpenCenters(allDefinedCenters),
+      Channels: channels,
+      Gates: gates,
       Properties: {
         Definition: {
-          Name: 'Definition',
-          Id: this.calculateCompositeDefinition(allDefinedCenters),
-          Option: this.calculateCompositeDefinition(allDefinedCenters),
-          Description: '',
-          Link: ''
+          Name: t.name('Definition'),
+          Id: definition.definition,
+          Option: t.option('definitions', definition.definition),
+          ComponentCount: definition.componentCount,
+          Areas: definition.areas,
+          Bridges: definition.bridges,
+          OpenCenterBridges: definition.openCenterBridges,
+          ...this.content.describe('definitions', definition.definition, t.locale)
         },
         ConnectionTheme: {
-          ThemeDescription: null,
-          Name: 'Connection Theme',
-          Id: this.calculateConnectionTheme(allDefinedCenters),
-          Option: this.calculateConnectionTheme(allDefinedCenters),
+          ThemeDescription: themeContent.Description,
+          Name: t.name('Connection Theme'),
+          Id: theme.id,
+          Option: theme.option,
+          Theme: t.option('connectionThemes', theme.name),
           Description: this.getConnectionDescription(allDefinedCenters),
-          Link: ''
+          Link: themeContent.Link
         },
-        RelationshipChannels: this.categorizeRelationshipChannels(chart1.channels, chart2.channels)
+        RelationshipChannels: this.categorizeRelationshipChannels(chart1, chart2, t.locale)
       }
     };
   }
 
-  calculateCompositeDefinition(definedCenters) {
-    const definedCount = definedCenters.length;
-    if (definedCount >= 7) return 'Single Definition';
-    if (definedCount >= 4) return 'Split Definition';
-    if (definedCount >= 2) return 'Triple Split Definition';
-    return 'No Definition';
+  /**
+   * Group (Penta or WA) analysis for N members, each { id, chart } with a chart from calculateChart.
+   * Definition comes from the union of everyone's gates, so channels completed across members count.
+   */
+  calculateGroup(members) {
+    const groupDefinition = gates => {
+      const channels = this.calculateChannels(gates);
+      return { channels, definedCenters: this.calculateDefinedCenters(channels) };
+    };
+    const unionGates = list => [...new Set(list.flatMap(member => member.chart.gates))].sort((a, b) => a - b);
+
+    const gates = unionGates(members);
+    const { channels, definedCenters } = groupDefinition(gates);
+    const definition = analyzeDefinition(channels);
+    const memberGates = members.map(member => ({ id: member.id, gates: member.chart.gates }));
+
+    // Channels nobody has alone - each is bridged by gates from two or more members
+    const bridgedChannels = channels
+      .filter(channel => !members.some(member => member.chart.channels.includes(channel)))
+      .map(channel => ({
+        Channel: channel,
+        Name: channelDefinitions[channel],
+        Gates: channel.split('-').map(Number).map(gate => ({
+          Gate: gate,
+          Members: members.filter(member => member.chart.gates.includes(gate)).map(member => member.id)
+        }))
+      }));
+
+    return {
+      Kind: groupKind(members.length),
+      Size: members.length,
+      Gates: gates,
+      Channels: channels,
+      BridgedChannels: bridgedChannels,
+      DefinedCenters: definedCenters,
+      OpenCenters: this.calculateOpenCenters(definedCenters),
+      Definition: {
+        Id: definition.definition,
+        ComponentCount: definition.componentCount,
+        Areas: definition.areas
+      },
+      Penta: analyzePenta(memberGates),
+      Members: members.map(member => {
+        const others = members.filter(other => other !== member);
+        const otherGates = new Set(unionGates(others));
+        const withoutMember = groupDefinition([...otherGates]);
+        const pentaGatesHeld = member.chart.gates.filter(gate => pentaGates[gate]);
+
+        return {
+          Id: member.id,
+          Type: member.chart.properties.Type.Id,
+          Profile: member.chart.properties.Profile.Id,
+          Gates: member.chart.gates,
+          Channels: member.chart.channels,
+          PentaGates: pentaGatesHeld,
+          PentaSkills: pentaGatesHeld.map(gate => pentaGates[gate].skill),
+          UniqueGates: member.chart.gates.filter(gate => !otherGates.has(gate)),
+          BridgedChannels: bridgedChannels
+            .filter(channel => channel.Gates.some(gate => gate.Members.includes(member.id)))
+            .map(channel => channel.Channel),
+          // Group channels and centers that would be lost without this member
+          EssentialChannels: channels.filter(channel => !withoutMember.channels.includes(channel)),
+          EssentialCenters: definedCenters.filter(center => !withoutMember.definedCenters.includes(center))
+        };
+      })
+    };
   }
 
-  calculateConnectionTheme(definedCenters) {
+  /**
+   * Definition of the composite from its channels. When it is split, `bridges` lists the channels
+   * that would join two areas, with the gates each person already holds and the gates still missing
+   * (fewest missing first) - the gates a third person or a transit would bring.
+   * `openCenterBridges` lists the pairs of channels that join two areas through one open center;
+   * longer routes, through two or more open centers, are not listed.
+   */
+  calculateCompositeDefinition(channels, chart1, chart2) {
+    const { definition, componentCount, areas } = analyzeDefinition(channels);
+    const areaOf = center => areas.findIndex(area => area.includes(center));
+    const holders = gate => [chart1, chart2]
+      .map((chart, index) => (chart.gates.includes(gate) ? index + 1 : null))
+      .filter(Boolean);
+    const gateHolders = gates => gates.map(gate => ({ Gate: gate, Members: holders(gate) }));
+    const missingGates = gates => gates.filter(gate => holders(gate).length === 0);
+
+    const bridges = Object.entries(channelCenters)
+      .filter(([, [centerA, centerB]]) => areaOf(centerA) !== -1 && areaOf(centerB) !== -1 && areaOf(centerA) !== areaOf(centerB))
+      .map(([channel, connects]) => {
+        const channelGates = channel.split('-').map(Number);
+        return {
+          Channel: channel,
+          Name: channelDefinitions[channel],
+          Connects: connects,
+          Gates: gateHolders(channelGates),
+          MissingGates: missingGates(channelGates)
+        };
+      })
+      .sort((a, b) => a.MissingGates.length - b.MissingGates.length);
+
+    const openCenterBridges = Object.values(centers)
+      .filter(through => areaOf(through) === -1)
+      .flatMap(through => {
+        // Channels from the open center to a defined one, each with the defined center it reaches
+        const spokes = Object.entries(channelCenters)
+          .filter(([, pair]) => pair.includes(through))
+          .map(([channel, pair]) => [channel, pair.find(center => center !== through)])
+          .filter(([, center]) => areaOf(center) !== -1);
+
+        return spokes.flatMap(([channelA, centerA], index) => spokes.slice(index + 1)
+          .filter(([, centerB]) => areaOf(centerA) !== areaOf(centerB))
+          .map(([channelB, centerB]) => {
+            const pairGates = [...new Set([channelA, channelB].flatMap(channel => channel.split('-').map(Number)))];
+            return {
+              Channels: [channelA, channelB].map(channel => ({ Channel: channel, Name: channelDefinitions[channel] })),
+              Through: through,
+              Connects: [centerA, centerB],
+              Gates: gateHolders(pairGates),
+              MissingGates: missingGates(pairGates)
+            };
+          }));
+      })
+      .sort((a, b) => a.MissingGates.length - b.MissingGates.length);
+
+    return { definition, componentCount, areas, bridges, openCenterBridges };
+  }
+
+  /**
+   * Connection theme from defined and open centers - 9-0, 8-1, 7-2 and 6-3 are the classic themes
+   */
+  calculateConnectionTheme(definedCenters, t = translator()) {
     const openCount = 9 - definedCenters.length;
-    return `${definedCenters.length} - ${openCount}, ${this.getConnectionType(definedCenters.length)}`;
+    const name = this.getConnectionType(definedCenters.length);
+    const label = theme => `${definedCenters.length} - ${openCount}, ${theme}`;
+    return { id: label(name), option: label(t.option('connectionThemes', name)), name };
   }
 
   getConnectionType(definedCount) {
-    if (definedCount >= 8) return 'Almost Complete';
-    if (definedCount >= 6) return 'Highly Defined';
-    if (definedCount >= 4) return 'Balanced';
+    if (definedCount === 9) return 'No Fun';
+    if (definedCount === 8) return 'Work';
+    if (definedCount === 7) return 'Fun';
+    if (definedCount === 6) return 'Freedom';
     return 'Open and Flowing';
   }
 
@@ -982,49 +1588,63 @@ class HDKitCalculator {
     return `With ${definedCount} defined centers and ${openCount} open centers, this connection offers opportunities for mutual learning and growth.`;
   }
 
-  categorizeRelationshipChannels(channels1, channels2) {
-    const shared = channels1.filter(c => channels2.includes(c));
-    const unique1 = channels1.filter(c => !channels2.includes(c));
-    const unique2 = channels2.filter(c => !channels1.includes(c));
-    
+  /**
+   * Relationship mechanics channel by channel, from both people's gates:
+   * Companionship - both have the whole channel
+   * Compromise - one has the whole channel, the other only one of its gates
+   * Dominance - one has the whole channel, the other neither gate
+   * Electromagnetic - each has one gate and the other has the opposite gate
+   */
+  categorizeRelationshipChannels(chart1, chart2, locale = DEFAULT_LOCALE) {
+    const t = translator(locale);
+    const gates1 = new Set(chart1.gates);
+    const gates2 = new Set(chart2.gates);
+    const categories = { Companionship: [], Dominance: [], Compromise: [], Electromagnetic: [] };
+
+    Object.keys(channelDefinitions).forEach(channel => {
+      const channelGates = channel.split('-').map(Number);
+      const held1 = channelGates.filter(gate => gates1.has(gate));
+      const held2 = channelGates.filter(gate => gates2.has(gate));
+      const item = {
+        Option: `${channelDefinitions[channel]} (${channel})`,
+        ...this.content.describe('channels', channel, locale),
+        Description2: null,
+        Gates: channelGates,
+        Person1Gates: held1,
+        Person2Gates: held2
+      };
+
+      if (held1.length === 2 && held2.length === 2) {
+        categories.Companionship.push(item);
+      } else if (held1.length === 2 || held2.length === 2) {
+        const holder = held1.length === 2 ? 1 : 2;
+        const otherHeld = holder === 1 ? held2 : held1;
+        categories[otherHeld.length === 1 ? 'Compromise' : 'Dominance'].push({ ...item, Holder: holder });
+      } else if (held1.length === 1 && held2.length === 1 && held1[0] !== held2[0]) {
+        categories.Electromagnetic.push(item);
+      }
+    });
+
     return {
       Companionship: {
-        Name: 'Companionship Channels',
+        Name: t.name('Companionship Channels'),
         Id: 'Companionship Channels',
-        List: shared.map(channel => ({
-          Option: `Channel of ${channelDefinitions[channel] || 'Unknown'} (${channel})`,
-          Description: '',
-          Description2: null,
-          Link: '',
-          Gates: channel.split('-').map(Number)
-        }))
+        List: categories.Companionship
       },
       Dominance: {
-        Name: 'Dominance Channels',
+        Name: t.name('Dominance Channels'),
         Id: 'Dominance Channels',
-        List: unique1.slice(0, 3).map(channel => ({
-          Option: `Channel of ${channelDefinitions[channel] || 'Unknown'} (${channel})`,
-          Description: '',
-          Description2: null,
-          Link: '',
-          Gates: channel.split('-').map(Number)
-        }))
+        List: categories.Dominance
       },
       Compromise: {
-        Name: 'Compromise Channels',
+        Name: t.name('Compromise Channels'),
         Id: 'Compromise Channels',
-        List: unique2.slice(0, 3).map(channel => ({
-          Option: `Channel of ${channelDefinitions[channel] || 'Unknown'} (${channel})`,
-          Description: '',
-          Description2: null,
-          Link: '',
-          Gates: channel.split('-').map(Number)
-        }))
+        List: categories.Compromise
       },
       Electromagnetic: {
-        Name: 'Electromagnetic Channels',
+        Name: t.name('Electromagnetic Channels'),
         Id: 'Electromagnetic Channels',
-        List: []
+        List: categories.Electromagnetic
       }
     };
   }
@@ -0,0 +1,81 @@
+// Localization - translated labels and interpretation text for chart responses
+//
+// Each locales/<code>.json bundle holds:
+//   names        property Name labels (Type, Strategy, Inner Authority, ...)
+//   options      Option values by kind: types, strategies, authorities, definitions, signatures,
+//                notSelfThemes, angles, quarters (names and themes), centers, planets, connectionThemes
+//   content      a content pack in that language (see lib/content.js)
+//
+// Anything a bundle leaves out falls back to English. Ids are never translated.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+
+function loadBundles() {
+  return Object.fromEntries(fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))]));
+}
+
+const bundles = loadBundles();
+const SUPPORTED_LOCALES = [DEFAULT_LOCALE, ...Object.keys(bundles)];
+
+// Primary language subtag: "pt-BR" -> "pt"
+const languageOf = tag => String(tag).trim().toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Pick the response locale. An explicit `lang` wins over the Accept-Language header;
+ * header ranges are tried by q-value. Unsupported languages fall back to English.
+ */
+function resolveLocale(lang, acceptLanguage = '') {
+  if (lang) {
+    const code = languageOf(lang);
+    return SUPPORTED_LOCALES.includes(code) ? code : DEFAULT_LOCALE;
+  }
+
+  const ranges = String(acceptLanguage || '').split(',')
+    .map(range => {
+      const [tag, ...params] = range.split(';').map(part => part.trim());
+      const q = params.find(param => param.startsWith('q='));
+      return { code: languageOf(tag), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(range => range.code && range.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  const match = ranges.find(range => SUPPORTED_LOCALES.includes(range.code));
+  return match ? match.code : DEFAULT_LOCALE;
+}
+
+/**
+ * Lookups for one locale; every lookup returns the English text when the bundle has no entry
+ */
+function translator(locale = DEFAULT_LOCALE) {
+  const bundle = bundles[locale] || {};
+  const names = bundle.names || {};
+  const options = bundle.options || {};
+  const option = (kind, text) => (options[kind] || {})[text] || text;
+
+  return {
+    locale: bundles[locale] ? locale : DEFAULT_LOCALE,
+    name: text => names[text] || text,
+    option
+  };
+}
+
+// The bundles' interpretation text, as content packs tagged with their locale
+function localeContentPacks() {
+  return Object.entries(bundles)
+    .filter(([, bundle]) => bundle.content)
+    .map(([code, bundle]) => ({ name: `locale:${code}`, ...bundle.content, locale: code }));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  translator,
+  localeContentPacks
+};
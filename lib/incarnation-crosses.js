@@ -0,0 +1,187 @@
+// Incarnation Cross database - 64 Right Angle, 64 Juxtaposition and 64 Left Angle crosses
+// Every cross is keyed by its four gates (Personality Sun/Earth | Design Sun/Earth)
+
+const { gateOrder } = require('../constants');
+
+const angles = {
+  RIGHT: 'Right Angle Cross',
+  JUXTAPOSITION: 'Juxtaposition Cross',
+  LEFT: 'Left Angle Cross'
+};
+
+// Profile decides the angle: 1/3 through 4/6 are Right Angle, 4/1 is Juxtaposition, 5/1 through 6/3 are Left Angle
+const anglesByProfile = {
+  '1/3': angles.RIGHT,
+  '1/4': angles.RIGHT,
+  '2/4': angles.RIGHT,
+  '2/5': angles.RIGHT,
+  '3/5': angles.RIGHT,
+  '3/6': angles.RIGHT,
+  '4/6': angles.RIGHT,
+  '4/1': angles.JUXTAPOSITION,
+  '5/1': angles.LEFT,
+  '5/2': angles.LEFT,
+  '6/2': angles.LEFT,
+  '6/3': angles.LEFT
+};
+
+// Quarters of the Mandala, each starting at the gate listed first
+const quarters = [
+  { name: 'Quarter of Initiation', theme: 'Purpose fulfilled through Mind', firstGate: 13 },
+  { name: 'Quarter of Civilization', theme: 'Purpose fulfilled through Form', firstGate: 2 },
+  { name: 'Quarter of Duality', theme: 'Purpose fulfilled through Bonding', firstGate: 7 },
+  { name: 'Quarter of Mutation', theme: 'Purpose fulfilled through Transformation', firstGate: 1 }
+];
+
+// Right Angle crosses share one name across their four gates
+const rightAngleNames = [
+  { name: 'the Sphinx', gates: [1, 2, 7, 13] },
+  { name: 'the Vessel of Love', gates: [10, 15, 25, 46] },
+  { name: 'Explanation', gates: [4, 23, 43, 49] },
+  { name: 'Contagion', gates: [8, 14, 29, 30] },
+  { name: 'Eden', gates: [6, 11, 12, 36] },
+  { name: 'Tension', gates: [21, 38, 39, 48] },
+  { name: 'Consciousness', gates: [5, 35, 63, 64] },
+  { name: 'Rulership', gates: [22, 26, 45, 47] },
+  { name: 'the Unexpected', gates: [27, 28, 31, 41] },
+  { name: 'Penetration', gates: [51, 53, 54, 57] },
+  { name: 'Laws', gates: [3, 50, 56, 60] },
+  { name: 'Service', gates: [17, 18, 52, 58] },
+  { name: 'Planning', gates: [9, 16, 37, 40] },
+  { name: 'Maya', gates: [32, 42, 61, 62] },
+  { name: 'the Four Ways', gates: [19, 24, 33, 44] },
+  { name: 'the Sleeping Phoenix', gates: [20, 34, 55, 59] }
+];
+
+// Juxtaposition crosses have one name per Personality Sun gate
+const juxtapositionNames = {
+  1: 'Self-Expression', 2: 'the Driver', 3: 'Mutation', 4: 'Formulization',
+  5: 'Habits', 6: 'Conflict', 7: 'Interaction', 8: 'Contribution',
+  9: 'Focus', 10: 'Behavior', 11: 'Ideas', 12: 'Articulation',
+  13: 'Listening', 14: 'Empowering', 15: 'Extremes', 16: 'Experimentation',
+  17: 'Opinions', 18: 'Correction', 19: 'Need', 20: 'the Now',
+  21: 'Control', 22: 'Grace', 23: 'Assimilation', 24: 'Rationalization',
+  25: 'Innocence', 26: 'the Trickster', 27: 'Caring', 28: 'Risks',
+  29: 'Commitment', 30: 'Fates', 31: 'Influence', 32: 'Conservation',
+  33: 'Retreat', 34: 'Power', 35: 'Experience', 36: 'Crisis',
+  37: 'Bargains', 38: 'Opposition', 39: 'Provocation', 40: 'Denial',
+  41: 'Fantasy', 42: 'Completion', 43: 'Insight', 44: 'Alertness',
+  45: 'Possession', 46: 'Serendipity', 47: 'Oppression', 48: 'Depth',
+  49: 'Principles', 50: 'Values', 51: 'Shock', 52: 'Stillness',
+  53: 'Beginnings', 54: 'Ambition', 55: 'Moods', 56: 'Stimulation',
+  57: 'Intuition', 58: 'Vitality', 59: 'Strategy', 60: 'Limitation',
+  61: 'Thinking', 62: 'Detail', 63: 'Doubts', 64: 'Confusion'
+};
+
+// Left Angle crosses share one name between a gate and its opposite
+const leftAngleNames = [
+  { name: 'Defiance', gates: [1, 2] },
+  { name: 'Masks', gates: [13, 7] },
+  { name: 'Revolution', gates: [49, 4] },
+  { name: 'Industry', gates: [30, 29] },
+  { name: 'Spirit', gates: [55, 59] },
+  { name: 'Migration', gates: [37, 40] },
+  { name: 'Dominion', gates: [63, 64] },
+  { name: 'Informing', gates: [22, 47] },
+  { name: 'the Plane', gates: [36, 6] },
+  { name: 'Healing', gates: [25, 46] },
+  { name: 'Upheaval', gates: [17, 18] },
+  { name: 'Endeavor', gates: [21, 48] },
+  { name: 'the Clarion', gates: [51, 57] },
+  { name: 'Limitation', gates: [42, 32] },
+  { name: 'Wishes', gates: [3, 50] },
+  { name: 'Alignment', gates: [27, 28] },
+  { name: 'Incarnation', gates: [24, 44] },
+  { name: 'Dedication', gates: [23, 43] },
+  { name: 'Uncertainty', gates: [8, 14] },
+  { name: 'Duality', gates: [20, 34] },
+  { name: 'Identification', gates: [16, 9] },
+  { name: 'Separation', gates: [35, 5] },
+  { name: 'Confrontation', gates: [45, 26] },
+  { name: 'Education', gates: [12, 11] },
+  { name: 'Prevention', gates: [15, 10] },
+  { name: 'Demands', gates: [52, 58] },
+  { name: 'Individualism', gates: [39, 38] },
+  { name: 'Cycles', gates: [53, 54] },
+  { name: 'Obscuration', gates: [62, 61] },
+  { name: 'Distraction', gates: [56, 60] },
+  { name: 'the Alpha', gates: [41, 31] },
+  { name: 'Refinement', gates: [19, 33] }
+];
+
+function gateAt(gate, offset) {
+  const index = gateOrder.indexOf(gate);
+  return gateOrder[(index + offset + gateOrder.length) % gateOrder.length];
+}
+
+/**
+ * The four gates of the cross for a Personality Sun gate.
+ * The Design Sun is 88° behind, which lands 16 gates back on a Right Angle cross and
+ * 15 gates back on Juxtaposition and Left Angle crosses (Personality Sun late in its gate).
+ */
+function crossGates(personalitySunGate, angle = angles.RIGHT) {
+  const designSunGate = gateAt(personalitySunGate, angle === angles.RIGHT ? -16 : -15);
+  return [personalitySunGate, gateAt(personalitySunGate, 32), designSunGate, gateAt(designSunGate, 32)];
+}
+
+function quarterOf(gate) {
+  const index = gateOrder.indexOf(gate);
+  return quarters.find(quarter => {
+    const start = gateOrder.indexOf(quarter.firstGate);
+    return (index - start + gateOrder.length) % gateOrder.length < 16;
+  });
+}
+
+function crossKey(angle, gates) {
+  return `${angle}:${gates[0]}/${gates[1]}|${gates[2]}/${gates[3]}`;
+}
+
+function buildCrossTable() {
+  const table = {};
+
+  gateOrder.forEach(gate => {
+    const quarter = quarterOf(gate);
+    const names = {
+      [angles.RIGHT]: rightAngleNames.find(entry => entry.gates.includes(gate)).name,
+      [angles.JUXTAPOSITION]: juxtapositionNames[gate],
+      [angles.LEFT]: leftAngleNames.find(entry => entry.gates.includes(gate)).name
+    };
+
+    Object.values(angles).forEach(angle => {
+      const gates = crossGates(gate, angle);
+      table[crossKey(angle, gates)] = {
+        angle,
+        name: `${angle} of ${names[angle]}`,
+        gates,
+        quarter: quarter.name,
+        quarterTheme: quarter.theme
+      };
+    });
+  });
+
+  return table;
+}
+
+const crossTable = buildCrossTable();
+
+/**
+ * Look up the incarnation cross from a profile and the four Sun/Earth gates.
+ * Charts whose Design Sun sits on a neighbouring gate still resolve by Personality Sun.
+ */
+function findIncarnationCross(profile, gates) {
+  const angle = anglesByProfile[profile];
+  if (!angle) return null;
+
+  const cross = crossTable[crossKey(angle, gates)] || crossTable[crossKey(angle, crossGates(gates[0], angle))];
+  return { ...cross, chartGates: gates };
+}
+
+module.exports = {
+  angles,
+  anglesByProfile,
+  quarters,
+  crossTable,
+  crossGates,
+  quarterOf,
+  findIncarnationCross
+};
@@ -0,0 +1,506 @@
+// Location dataset and search helpers shared by the locations and chart routes
+// IDs are GeoNames geonameids so records stay stable across dataset updates
+
+const { configureGazetteer } = require('./gazetteer');
+
+// Built-in fallback for when no GeoNames dump is installed
+const locationData = [
+  // Major Asian Cities
+  {
+    id: 1701668,
+    country: " Philippines",
+    timezone: "Asia/Manila",
+    asciiname: "Manila",
+    latitude: 14.6042,
+    longitude: 120.9822,
+    admin1: " Metro Manila",
+    tokens: ["Manila", " Metro Manila", " Philippines", "Maynila"],
+    value: "Manila, Metro Manila, Philippines"
+  },
+  {
+    id: 1692192,
+    country: " Philippines",
+    timezone: "Asia/Manila",
+    asciiname: "Quezon City",
+    latitude: 14.6488,
+    longitude: 121.0509,
+    admin1: " Metro Manila", 
+    tokens: ["Quezon City", " Metro Manila", " Philippines", "QC"],
+    value: "Quezon City, Metro Manila, Philippines"
+  },
+  {
+    id: 1717512,
+    country: " Philippines",
+    timezone: "Asia/Manila",
+    asciiname: "Cebu City",
+    latitude: 10.3167,
+    longitude: 123.8907,
+    admin1: " Cebu",
+    tokens: ["Cebu City", " Cebu", " Philippines", "Cebu"],
+    value: "Cebu City, Cebu, Philippines"
+  },
+  {
+    id: 1715348,
+    country: " Philippines",
+    timezone: "Asia/Manila", 
+    asciiname: "Davao",
+    latitude: 7.0731,
+    longitude: 125.6128,
+    admin1: " Davao del Sur",
+    tokens: ["Davao", " Davao del Sur", " Philippines", "Davao City"],
+    value: "Davao, Davao del Sur, Philippines"
+  },
+  {
+    id: 1850147,
+    country: " Japan",
+    timezone: "Asia/Tokyo",
+    asciiname: "Tokyo",
+    latitude: 35.6895,
+    longitude: 139.6917,
+    admin1: " Tokyo",
+    tokens: ["Tokyo", " Tokyo", " Japan", "東京"],
+    value: "Tokyo, Tokyo, Japan"
+  },
+  {
+    id: 1853909,
+    country: " Japan",
+    timezone: "Asia/Tokyo",
+    asciiname: "Osaka",
+    latitude: 34.6937,
+    longitude: 135.5022,
+    admin1: " Osaka",
+    tokens: ["Osaka", " Osaka", " Japan", "大阪"],
+    value: "Osaka, Osaka, Japan"
+  },
+  {
+    id: 1796236,
+    country: " China",
+    timezone: "Asia/Shanghai",
+    asciiname: "Shanghai",
+    latitude: 31.2222,
+    longitude: 121.4581,
+    admin1: " Shanghai",
+    tokens: ["Shanghai", " Shanghai", " China", "上海"],
+    value: "Shanghai, Shanghai, China"
+  },
+  {
+    id: 1816670,
+    country: " China",
+    timezone: "Asia/Shanghai",
+    asciiname: "Beijing",
+    latitude: 39.9075,
+    longitude: 116.3972,
+    admin1: " Beijing",
+    tokens: ["Beijing", " Beijing", " China", "北京", "Peking"],
+    value: "Beijing, Beijing, China"
+  },
+  {
+    id: 1609350,
+    country: " Thailand",
+    timezone: "Asia/Bangkok",
+    asciiname: "Bangkok",
+    latitude: 13.754,
+    longitude: 100.5014,
+    admin1: " Bangkok",
+    tokens: ["Bangkok", " Bangkok", " Thailand", "กรุงเทพ"],
+    value: "Bangkok, Bangkok, Thailand"
+  },
+  {
+    id: 1880252,
+    country: " Singapore",
+    timezone: "Asia/Singapore",
+    asciiname: "Singapore",
+    latitude: 1.2897,
+    longitude: 103.8501,
+    admin1: " Singapore",
+    tokens: ["Singapore", " Singapore", " Singapore", "SG"],
+    value: "Singapore, Singapore, Singapore"
+  },
+  {
+    id: 1735161,
+    country: " Malaysia",
+    timezone: "Asia/Kuala_Lumpur",
+    asciiname: "Kuala Lumpur",
+    latitude: 3.1412,
+    longitude: 101.6865,
+    admin1: " Federal Territory of Kuala Lumpur",
+    tokens: ["Kuala Lumpur", " Federal Territory of Kuala Lumpur", " Malaysia", "KL"],
+    value: "Kuala Lumpur, Federal Territory of Kuala Lumpur, Malaysia"
+  },
+  {
+    id: 1642911,
+    country: " Indonesia",
+    timezone: "Asia/Jakarta",
+    asciiname: "Jakarta",
+    latitude: -6.2146,
+    longitude: 106.8451,
+    admin1: " Jakarta",
+    tokens: ["Jakarta", " Jakarta", " Indonesia", "DKI Jakarta"],
+    value: "Jakarta, Jakarta, Indonesia"
+  },
+  {
+    id: 1566083,
+    country: " Vietnam",
+    timezone: "Asia/Ho_Chi_Minh",
+    asciiname: "Ho Chi Minh City",
+    latitude: 10.823,
+    longitude: 106.6296,
+    admin1: " Ho Chi Minh",
+    tokens: ["Ho Chi Minh City", " Ho Chi Minh", " Vietnam", "Saigon", "HCMC"],
+    value: "Ho Chi Minh City, Ho Chi Minh, Vietnam"
+  },
+  {
+    id: 1835848,
+    country: " South Korea",
+    timezone: "Asia/Seoul",
+    asciiname: "Seoul",
+    latitude: 37.566,
+    longitude: 126.9784,
+    admin1: " Seoul",
+    tokens: ["Seoul", " Seoul", " South Korea", "서울"],
+    value: "Seoul, Seoul, South Korea"
+  },
+  {
+    id: 1275339,
+    country: " India",
+    timezone: "Asia/Kolkata",
+    asciiname: "Mumbai",
+    latitude: 19.0728,
+    longitude: 72.8826,
+    admin1: " Maharashtra",
+    tokens: ["Mumbai", " Maharashtra", " India", "Bombay"],
+    value: "Mumbai, Maharashtra, India"
+  },
+  {
+    id: 1273294,
+    country: " India",
+    timezone: "Asia/Kolkata",
+    asciiname: "Delhi",
+    latitude: 28.6519,
+    longitude: 77.2315,
+    admin1: " Delhi",
+    tokens: ["Delhi", " Delhi", " India", "New Delhi"],
+    value: "Delhi, Delhi, India"
+  },
+  {
+    id: 1277333,
+    country: " India",
+    timezone: "Asia/Kolkata",
+    asciiname: "Bangalore",
+    latitude: 12.9719,
+    longitude: 77.5937,
+    admin1: " Karnataka",
+    tokens: ["Bangalore", " Karnataka", " India", "Bengaluru"],
+    value: "Bangalore, Karnataka, India"
+  },
+  
+  // Major North American Cities
+  {
+    id: 5128581,
+    country: " United States",
+    timezone: "America/New_York",
+    asciiname: "New York City",
+    latitude: 40.7143,
+    longitude: -74.006,
+    admin1: " New York",
+    tokens: ["New York City", " New York", " United States", "NYC", "New York"],
+    value: "New York City, New York, United States"
+  },
+  {
+    id: 5368361,
+    country: " United States",
+    timezone: "America/Los_Angeles",
+    asciiname: "Los Angeles",
+    latitude: 34.0522,
+    longitude: -118.2437,
+    admin1: " California",
+    tokens: ["Los Angeles", " California", " United States", "LA"],
+    value: "Los Angeles, California, United States"
+  },
+  {
+    id: 4887398,
+    country: " United States",
+    timezone: "America/Chicago",
+    asciiname: "Chicago",
+    latitude: 41.85,
+    longitude: -87.65,
+    admin1: " Illinois",
+    tokens: ["Chicago", " Illinois", " United States"],
+    value: "Chicago, Illinois, United States"
+  },
+  {
+    id: 5308655,
+    country: " United States",
+    timezone: "America/Phoenix",
+    asciiname: "Phoenix",
+    latitude: 33.4484,
+    longitude: -112.074,
+    admin1: " Arizona",
+    tokens: ["Phoenix", " Arizona", " United States"],
+    value: "Phoenix, Arizona, United States"
+  },
+  {
+    id: 5419384,
+    country: " United States",
+    timezone: "America/Denver",
+    asciiname: "Denver",
+    latitude: 39.7392,
+    longitude: -104.9847,
+    admin1: " Colorado",
+    tokens: ["Denver", " Colorado", " United States"],
+    value: "Denver, Colorado, United States"
+  },
+  {
+    id: 6167865,
+    country: " Canada",
+    timezone: "America/Toronto",
+    asciiname: "Toronto",
+    latitude: 43.7001,
+    longitude: -79.4163,
+    admin1: " Ontario",
+    tokens: ["Toronto", " Ontario", " Canada"],
+    value: "Toronto, Ontario, Canada"
+  },
+  {
+    id: 6173331,
+    country: " Canada",
+    timezone: "America/Vancouver",
+    asciiname: "Vancouver",
+    latitude: 49.2497,
+    longitude: -123.1193,
+    admin1: " British Columbia",
+    tokens: ["Vancouver", " British Columbia", " Canada"],
+    value: "Vancouver, British Columbia, Canada"
+  },
+  {
+    id: 3530597,
+    country: " Mexico",
+    timezone: "America/Mexico_City",
+    asciiname: "Mexico City",
+    latitude: 19.4285,
+    longitude: -99.1277,
+    admin1: " Federal District",
+    tokens: ["Mexico City", " Federal District", " Mexico", "Ciudad de México"],
+    value: "Mexico City, Federal District, Mexico"
+  },
+  
+  // Major European Cities
+  {
+    id: 2643743,
+    country: " United Kingdom",
+    timezone: "Europe/London",
+    asciiname: "London",
+    latitude: 51.5085,
+    longitude: -0.1257,
+    admin1: " England",
+    tokens: ["London", " England", " United Kingdom", "UK"],
+    value: "London, England, United Kingdom"
+  },
+  {
+    id: 2988507,
+    country: " France",
+    timezone: "Europe/Paris",
+    asciiname: "Paris",
+    latitude: 48.8534,
+    longitude: 2.3488,
+    admin1: " Île-de-France",
+    tokens: ["Paris", " Île-de-France", " France"],
+    value: "Paris, Île-de-France, France"
+  },
+  {
+    id: 2950159,
+    country: " Germany",
+    timezone: "Europe/Berlin",
+    asciiname: "Berlin",
+    latitude: 52.5244,
+    longitude: 13.4105,
+    admin1: " Berlin",
+    tokens: ["Berlin", " Berlin", " Germany"],
+    value: "Berlin, Berlin, Germany"
+  },
+  {
+    id: 3117735,
+    country: " Spain",
+    timezone: "Europe/Madrid",
+    asciiname: "Madrid",
+    latitude: 40.4165,
+    longitude: -3.7026,
+    admin1: " Madrid",
+    tokens: ["Madrid", " Madrid", " Spain"],
+    value: "Madrid, Madrid, Spain"
+  },
+  {
+    id: 3169070,
+    country: " Italy",
+    timezone: "Europe/Rome",
+    asciiname: "Rome",
+    latitude: 41.8919,
+    longitude: 12.5113,
+    admin1: " Lazio",
+    tokens: ["Rome", " Lazio", " Italy", "Roma"],
+    value: "Rome, Lazio, Italy"
+  },
+  {
+    id: 2759794,
+    country: " Netherlands",
+    timezone: "Europe/Amsterdam",
+    asciiname: "Amsterdam",
+    latitude: 52.374,
+    longitude: 4.8897,
+    admin1: " North Holland",
+    tokens: ["Amsterdam", " North Holland", " Netherlands"],
+    value: "Amsterdam, North Holland, Netherlands"
+  },
+  
+  // Major Australian Cities
+  {
+    id: 2147714,
+    country: " Australia",
+    timezone: "Australia/Sydney",
+    asciiname: "Sydney",
+    latitude: -33.8679,
+    longitude: 151.2073,
+    admin1: " New South Wales",
+    tokens: ["Sydney", " New South Wales", " Australia"],
+    value: "Sydney, New South Wales, Australia"
+  },
+  {
+    id: 2158177,
+    country: " Australia",
+    timezone: "Australia/Melbourne",
+    asciiname: "Melbourne",
+    latitude: -37.814,
+    longitude: 144.9633,
+    admin1: " Victoria",
+    tokens: ["Melbourne", " Victoria", " Australia"],
+    value: "Melbourne, Victoria, Australia"
+  },
+  {
+    id: 2174003,
+    country: " Australia",
+    timezone: "Australia/Brisbane",
+    asciiname: "Brisbane",
+    latitude: -27.4679,
+    longitude: 153.0281,
+    admin1: " Queensland",
+    tokens: ["Brisbane", " Queensland", " Australia"],
+    value: "Brisbane, Queensland, Australia"
+  },
+  
+  // Major South American Cities
+  {
+    id: 3448439,
+    country: " Brazil",
+    timezone: "America/Sao_Paulo",
+    asciiname: "São Paulo",
+    latitude: -23.5475,
+    longitude: -46.6361,
+    admin1: " São Paulo",
+    tokens: ["São Paulo", " São Paulo", " Brazil", "Sao Paulo"],
+    value: "São Paulo, São Paulo, Brazil"
+  },
+  {
+    id: 3451190,
+    country: " Brazil",
+    timezone: "America/Sao_Paulo",
+    asciiname: "Rio de Janeiro",
+    latitude: -22.9028,
+    longitude: -43.2075,
+    admin1: " Rio de Janeiro",
+    tokens: ["Rio de Janeiro", " Rio de Janeiro", " Brazil", "Rio"],
+    value: "Rio de Janeiro, Rio de Janeiro, Brazil"
+  },
+  {
+    id: 3435910,
+    country: " Argentina",
+    timezone: "America/Argentina/Buenos_Aires",
+    asciiname: "Buenos Aires",
+    latitude: -34.6132,
+    longitude: -58.3772,
+    admin1: " Buenos Aires",
+    tokens: ["Buenos Aires", " Buenos Aires", " Argentina"],
+    value: "Buenos Aires, Buenos Aires, Argentina"
+  },
+  
+  // Major African Cities
+  {
+    id: 993800,
+    country: " South Africa",
+    timezone: "Africa/Johannesburg",
+    asciiname: "Johannesburg",
+    latitude: -26.2023,
+    longitude: 28.0436,
+    admin1: " Gauteng",
+    tokens: ["Johannesburg", " Gauteng", " South Africa"],
+    value: "Johannesburg, Gauteng, South Africa"
+  },
+  {
+    id: 3369157,
+    country: " South Africa",
+    timezone: "Africa/Johannesburg",
+    asciiname: "Cape Town",
+    latitude: -33.9258,
+    longitude: 18.4232,
+    admin1: " Western Cape",
+    tokens: ["Cape Town", " Western Cape", " South Africa"],
+    value: "Cape Town, Western Cape, South Africa"
+  },
+  {
+    id: 360630,
+    country: " Egypt",
+    timezone: "Africa/Cairo",
+    asciiname: "Cairo",
+    latitude: 30.0626,
+    longitude: 31.2497,
+    admin1: " Cairo",
+    tokens: ["Cairo", " Cairo", " Egypt"],
+    value: "Cairo, Cairo, Egypt"
+  },
+  
+  // Major Middle Eastern Cities
+  {
+    id: 292223,
+    country: " United Arab Emirates",
+    timezone: "Asia/Dubai",
+    asciiname: "Dubai",
+    latitude: 25.0772,
+    longitude: 55.3093,
+    admin1: " Dubai",
+    tokens: ["Dubai", " Dubai", " United Arab Emirates", "UAE"],
+    value: "Dubai, Dubai, United Arab Emirates"
+  },
+  {
+    id: 293397,
+    country: " Israel",
+    timezone: "Asia/Jerusalem",
+    asciiname: "Tel Aviv",
+    latitude: 32.0809,
+    longitude: 34.7806,
+    admin1: " Tel Aviv",
+    tokens: ["Tel Aviv", " Tel Aviv", " Israel"],
+    value: "Tel Aviv, Tel Aviv, Israel"
+  }
+];
+
+const gazetteer = configureGazetteer(process.env, locationData);
+
+// Places matching the query, ranked by match quality and population (see lib/gazetteer.js)
+function searchLocations(query, limit = 20, options = {}) {
+  return gazetteer.search(query, { ...options, limit });
+}
+
+// Look up a single location by its id (accepts numeric strings from query params)
+function findLocationById(id) {
+  return gazetteer.findById(id);
+}
+
+function getGazetteerInfo() {
+  return gazetteer.info();
+}
+
+module.exports = {
+  locationData,
+  searchLocations,
+  findLocationById,
+  getGazetteerInfo
+};
@@ -0,0 +1,166 @@
+// Rave Mandala SVG - server-side version of sample-apps/rave-mandala/svg-rave-mandala.html
+// Everything is placed by ecliptic longitude: 0° Aries sits at 9 o'clock and the wheel runs counterclockwise
+
+const {
+  gateOrder,
+  raveMandalaGateColors,
+  astrologicalSigns,
+  astrologicalSignSymbols,
+  godheadsByGate,
+  planetGlyphs
+} = require('../constants');
+const HDKit = require('./hdkit-calculator');
+const { quarterOf } = require('./incarnation-crosses');
+const { sideColors, extraGlyphs, escapeXml } = require('./svg');
+
+const SIZE = 800;
+const CENTER = SIZE / 2;
+const GATE_DEGREES = 360 / 64;
+
+// Ring radii (inner, outer), outside in
+const rings = {
+  gates: [348, 388],
+  signs: [310, 348],
+  godheads: [276, 310],
+  quarters: [248, 276],
+  personality: 214,
+  design: 168,
+  inner: 130
+};
+
+// Screen point for an ecliptic longitude at radius r (SVG y grows downwards)
+function point(longitude, r) {
+  const angle = ((180 - longitude) * Math.PI) / 180;
+  return [CENTER + r * Math.cos(angle), CENTER + r * Math.sin(angle)];
+}
+
+function format(number) {
+  return Number(number.toFixed(2));
+}
+
+// Annular sector between two longitudes (counterclockwise from `from` to `to`)
+function sector(from, to, innerRadius, outerRadius, attributes) {
+  const [x1, y1] = point(from, outerRadius);
+  const [x2, y2] = point(to, outerRadius);
+  const [x3, y3] = point(to, innerRadius);
+  const [x4, y4] = point(from, innerRadius);
+  const largeArc = ((to - from + 360) % 360) > 180 ? 1 : 0;
+  const d = `M ${format(x1)} ${format(y1)} A ${outerRadius} ${outerRadius} 0 ${largeArc} 0 ${format(x2)} ${format(y2)} ` +
+    `L ${format(x3)} ${format(y3)} A ${innerRadius} ${innerRadius} 0 ${largeArc} 1 ${format(x4)} ${format(y4)} Z`;
+  return `<path d="${d}" ${attributes}/>`;
+}
+
+// Text centred on a longitude, running along the ring and flipped on the lower half so it stays upright
+function radialText(longitude, r, text, attributes) {
+  const [x, y] = point(longitude, r);
+  const lowerHalf = ((longitude % 360) + 360) % 360 < 180;
+  const rotation = format(270 - longitude + (lowerHalf ? 180 : 0));
+  return `<text x="${format(x)}" y="${format(y)}" transform="rotate(${rotation} ${format(x)} ${format(y)})" ` +
+    `text-anchor="middle" dominant-baseline="central" ${attributes}>${escapeXml(text)}</text>`;
+}
+
+function gateStart(index) {
+  return (index * GATE_DEGREES - HDKit.HD_OFFSET_DEGREES + 360) % 360;
+}
+
+function renderGates() {
+  return gateOrder.map((gate, index) => {
+    const start = gateStart(index);
+    const [innerRadius, outerRadius] = rings.gates;
+    return sector(start, start + GATE_DEGREES, innerRadius, outerRadius,
+      `fill="${raveMandalaGateColors[gate]}" fill-opacity="0.35" stroke="#000" stroke-width="0.6"`) +
+      radialText(start + GATE_DEGREES / 2, (innerRadius + outerRadius) / 2, gate, 'font-size="13" font-weight="bold"');
+  }).join('\n');
+}
+
+function renderSigns() {
+  const [innerRadius, outerRadius] = rings.signs;
+  return Array.from({ length: 12 }, (_, sign) => {
+    const start = sign * 30;
+    // astrologicalSigns runs backwards from Virgo, so Aries is at index 5
+    const index = (5 - sign + 12) % 12;
+    return sector(start, start + 30, innerRadius, outerRadius, 'fill="#fff" stroke="#000" stroke-width="0.6"') +
+      radialText(start + 15, (innerRadius + outerRadius) / 2,
+        `${astrologicalSignSymbols[index]} ${astrologicalSigns[index]}`, 'font-size="12"');
+  }).join('\n');
+}
+
+// Runs of consecutive gates around the wheel that share a value (godhead or quarter)
+function gateRuns(valueOf) {
+  const first = gateOrder.findIndex((gate, index) => valueOf(gate) !== valueOf(gateOrder[(index + 63) % 64]));
+  const runs = [];
+
+  for (let step = 0; step < 64; step++) {
+    const index = (first + step) % 64;
+    const value = valueOf(gateOrder[index]);
+    if (runs.length === 0 || runs[runs.length - 1].value !== value) {
+      runs.push({ value, start: gateStart(index), length: 0 });
+    }
+    runs[runs.length - 1].length++;
+  }
+
+  return runs;
+}
+
+function renderRuns(runs, [innerRadius, outerRadius], fontSize) {
+  return runs.map(run => {
+    const end = run.start + run.length * GATE_DEGREES;
+    return sector(run.start, end, innerRadius, outerRadius, 'fill="#f7f7f7" stroke="#000" stroke-width="0.6"') +
+      radialText(run.start + (run.length * GATE_DEGREES) / 2, (innerRadius + outerRadius) / 2, run.value, `font-size="${fontSize}"`);
+  }).join('\n');
+}
+
+// Planet glyphs for one side; glyphs closer than 6° are stacked towards the center
+function renderActivations(side, planets, radius) {
+  const color = sideColors[side];
+  const placed = [];
+
+  return Object.entries(planets)
+    .filter(([, activation]) => typeof activation.eclipticLongitude === 'number')
+    .sort(([, a], [, b]) => a.eclipticLongitude - b.eclipticLongitude)
+    .map(([planet, activation]) => {
+      const longitude = activation.eclipticLongitude;
+      const crowded = placed.filter(other => Math.abs(((other - longitude + 540) % 360) - 180) < 6).length;
+      placed.push(longitude);
+
+      const r = radius - crowded * 18;
+      const glyph = planetGlyphs[planet.replace(' ', '')] || extraGlyphs[planet] || planet.slice(0, 2);
+      const [x1, y1] = point(longitude, rings.quarters[0]);
+      const [x2, y2] = point(longitude, rings.quarters[0] - 12);
+      const [x, y] = point(longitude, r);
+
+      return `<line x1="${format(x1)}" y1="${format(y1)}" x2="${format(x2)}" y2="${format(y2)}" stroke="${color}" stroke-width="2"/>` +
+        `<text x="${format(x)}" y="${format(y)}" text-anchor="middle" dominant-baseline="central" font-size="18" fill="${color}">` +
+        `<title>${escapeXml(`${side} ${planet} ${activation.Gate}.${activation.Line}`)}</title>${escapeXml(glyph)}</text>`;
+    })
+    .join('\n');
+}
+
+/**
+ * Render the Rave Mandala for a chart from HDKit.calculateChart.
+ * `title` and `subtitle` are printed in the middle of the wheel.
+ */
+function renderMandalaSvg(chart, { title = '', subtitle = '', size = SIZE } = {}) {
+  const [, outerGate] = rings.gates;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${SIZE} ${SIZE}" font-family="sans-serif">`,
+    `<rect width="${SIZE}" height="${SIZE}" fill="#fff"/>`,
+    `<circle cx="${CENTER}" cy="${CENTER}" r="${outerGate}" fill="none" stroke="#000" stroke-width="1"/>`,
+    renderGates(),
+    renderSigns(),
+    renderRuns(gateRuns(gate => godheadsByGate[gate]), rings.godheads, 10),
+    renderRuns(gateRuns(gate => quarterOf(gate).name), rings.quarters, 11),
+    `<circle cx="${CENTER}" cy="${CENTER}" r="${rings.inner}" fill="none" stroke="#ccc" stroke-width="0.6"/>`,
+    renderActivations('Design', chart.design, rings.design),
+    renderActivations('Personality', chart.personality, rings.personality),
+    `<text x="${CENTER}" y="${CENTER - 10}" text-anchor="middle" font-size="16" font-weight="bold">${escapeXml(title)}</text>`,
+    `<text x="${CENTER}" y="${CENTER + 14}" text-anchor="middle" font-size="12">${escapeXml(subtitle)}</text>`,
+    `<text x="${CENTER}" y="${CENTER + 40}" text-anchor="middle" font-size="11"><tspan fill="${sideColors.Personality}">■ Personality</tspan> <tspan fill="${sideColors.Design}">■ Design</tspan></text>`,
+    '</svg>'
+  ].join('\n');
+}
+
+module.exports = {
+  renderMandalaSvg
+};
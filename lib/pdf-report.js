@@ -0,0 +1,278 @@
+// PDF report - the pdf-maker sample's report, built in-process with pdfmake from a chart by HDKit.calculateChart
+// Fonts, string tables and the bodygraph all come from this repo, so nothing is fetched over the network
+const path = require('path');
+const PdfPrinter = require('pdfmake');
+const { loadStrings } = require('./strings');
+const { centers } = require('./center-graph');
+const { renderBodygraphSvg, svgToPng } = require('./bodygraph-svg');
+
+const FONTS_DIR = path.join(__dirname, '..', 'sample-apps', 'pdf-maker', 'server', 'fonts');
+const PAGE_WIDTH = 516;
+
+const font = file => path.join(FONTS_DIR, file);
+
+const printer = new PdfPrinter({
+  Carena: {
+    normal: font('Carena/Carena-Regular.ttf'),
+    bold: font('Carena/Carena-Regular.ttf'),
+    italics: font('Carena/Carena-Regular.ttf'),
+    bolditalics: font('Carena/Carena-Regular.ttf')
+  },
+  NunitoSans: {
+    normal: font('NunitoSans/NunitoSans-Regular.ttf'),
+    bold: font('NunitoSans/NunitoSans-Bold.ttf'),
+    italics: font('NunitoSans/NunitoSans-Italic.ttf'),
+    bolditalics: font('NunitoSans/NunitoSans-BoldItalic.ttf')
+  },
+  CommutersSans: {
+    normal: font('CommutersSans/CommutersSans-Regular.ttf'),
+    bold: font('CommutersSans/CommutersSans-Bold.ttf'),
+    italics: font('CommutersSans/CommutersSans-Italic.ttf'),
+    bolditalics: font('CommutersSans/CommutersSans-BoldItalic.ttf')
+  }
+});
+
+// The string tables use the pdf-maker names for authorities, definitions and centers
+const authorityKeys = {
+  'Emotional - Solar Plexus': 'Emotional',
+  'Self-Projected': 'Self Projected',
+  'Mental - Environmental': 'Sounding Board'
+};
+
+const definitionKeys = {
+  'Triple Split Definition': 'Triple Definition',
+  'Quadruple Split Definition': 'Quad Split Definition'
+};
+
+const centerNames = {
+  [centers.HEAD]: 'Head',
+  [centers.AJNA]: 'Ajna',
+  [centers.THROAT]: 'Throat',
+  [centers.G]: 'G',
+  [centers.HEART]: 'Ego',
+  [centers.SPLENIC]: 'Spleen',
+  [centers.SOLAR_PLEXUS]: 'Solar Plexus',
+  [centers.SACRAL]: 'Sacral',
+  [centers.ROOT]: 'Root'
+};
+
+const crossTables = {
+  'Right Angle Cross': 'rightAngleCrosses',
+  'Juxtaposition Cross': 'juxtapositionCrosses',
+  'Left Angle Cross': 'leftAngleCrosses'
+};
+
+const ordinal = line => `${line}${['st', 'nd', 'rd'][line - 1] || 'th'}`;
+
+const rule = { canvas: [{ type: 'line', x1: 0, y1: 0, x2: PAGE_WIDTH, y2: 0, lineWidth: 1, lineColor: '#cccccc' }], margin: [0, 10, 0, 24] };
+
+// Heading block shared by every section: small caps label, large title, rule
+function sectionHeader(label, title) {
+  return [
+    { text: label, style: 'supheader' },
+    { text: title, style: 'header' },
+    rule
+  ];
+}
+
+// Body text from the string tables, falling back to the chart's own description; empty entries are left out
+function bodyText(...texts) {
+  const text = texts.find(Boolean);
+  return text ? [{ text, style: 'bodyTextSmall', margin: [0, 0, 0, 18] }] : [];
+}
+
+function labelTable(rows) {
+  return {
+    style: 'greyTable',
+    table: {
+      widths: [180, '*'],
+      body: rows.map(([label, value]) => [{ text: label.toUpperCase(), style: 'greyTableLabel' }, value || '-'])
+    },
+    layout: {
+      hLineWidth: () => 2,
+      vLineWidth: () => 2,
+      hLineColor: () => 'white',
+      vLineColor: () => 'white',
+      paddingLeft: () => 16,
+      paddingTop: () => 6,
+      paddingBottom: () => 6,
+      fillColor: () => '#ededed'
+    },
+    margin: [0, 0, 0, 24]
+  };
+}
+
+function coverPage(chart, { name, birthDate, place }) {
+  const { Type, InnerAuthority, Profile } = chart.properties;
+  const svg = renderBodygraphSvg(chart, { size: 1200 });
+  const png = svgToPng(svg, 1200).toString('base64');
+
+  return [
+    { image: `data:image/png;base64,${png}`, width: 400, alignment: 'center', margin: [0, 0, 0, 20] },
+    {
+      columns: [
+        { text: name || 'Human Design Report', style: 'header' },
+        { text: `${birthDate}\n${place}\n${Profile.Id} ${InnerAuthority.Id} ${Type.Id}`, style: 'rightColumn' }
+      ],
+      pageBreak: 'after'
+    }
+  ];
+}
+
+function typeSection(chart) {
+  const { Type, Signature, NotSelfTheme } = chart.properties;
+  return [
+    ...sectionHeader('ENERGY TYPE', Type.Id),
+    labelTable([
+      ['Signature', Signature.Id],
+      ['Not Self Theme', NotSelfTheme.Id]
+    ]),
+    ...bodyText(loadStrings('energy-types')[Type.Id], Type.Description)
+  ];
+}
+
+function strategySection(chart) {
+  const { Type, Strategy } = chart.properties;
+  return [
+    ...sectionHeader('THE STRATEGY', Strategy.Id),
+    labelTable([[`Strategy for a ${Type.Id}`, loadStrings('strategies')[Type.Id]]]),
+    ...bodyText(Strategy.Description)
+  ];
+}
+
+function authoritySection(chart) {
+  const { InnerAuthority } = chart.properties;
+  return [
+    ...sectionHeader('YOUR AUTHORITY', InnerAuthority.Id),
+    ...bodyText(InnerAuthority.Rule),
+    ...bodyText(loadStrings('authorities')[authorityKeys[InnerAuthority.Id] || InnerAuthority.Id], InnerAuthority.Description)
+  ];
+}
+
+function profileSection(chart) {
+  const { Profile } = chart.properties;
+  const profiles = loadStrings('profiles');
+  const [personalityLine, designLine] = Profile.Id.split('/');
+
+  return [
+    ...sectionHeader('YOUR PROFILE', `${Profile.Id} ${profiles[Profile.Id] || ''}`),
+    labelTable([
+      ['Conscious Personality', `${ordinal(personalityLine)} Line`],
+      ['Unconscious Design', `${ordinal(designLine)} Line`]
+    ]),
+    ...bodyText(profiles.descriptions[Profile.Id], Profile.Description)
+  ];
+}
+
+function definitionSection(chart) {
+  const { Definition } = chart.properties;
+  const centerThemes = loadStrings('not-self-themes').centers;
+
+  return [
+    ...sectionHeader('HOW YOU ARE WIRED', Definition.Id),
+    ...bodyText(loadStrings('definitions')[definitionKeys[Definition.Id] || Definition.Id], Definition.Description),
+    labelTable([
+      ['Defined Centers', chart.definedCenters.map(center => centerNames[center]).join(', ') || 'None'],
+      ...chart.openCenters.map(center => [`Open ${centerNames[center]}`, centerThemes[centerNames[center]]])
+    ])
+  ];
+}
+
+function crossSection(chart) {
+  const { IncarnationCross, Profile } = chart.properties;
+  const crossTexts = loadStrings('incarnation-crosses')[crossTables[IncarnationCross.Angle]] || {};
+  const [personalitySun, personalityEarth, designSun, designEarth] = IncarnationCross.Gates || [];
+
+  return [
+    ...sectionHeader('YOUR INCARNATION CROSS', IncarnationCross.Id),
+    labelTable([
+      ['Gates', `Personality Sun (${personalitySun}) | Personality Earth (${personalityEarth}) | Design Sun (${designSun}) | Design Earth (${designEarth})`],
+      ['Quarter', IncarnationCross.Quarter && `${IncarnationCross.Quarter} - ${IncarnationCross.QuarterTheme}`]
+    ]),
+    ...bodyText((crossTexts[IncarnationCross.Id] || {})[Profile.Id], IncarnationCross.Description)
+  ];
+}
+
+function variablesSection(chart) {
+  const { Code, Details } = chart.variables;
+  const { Determination, Environment, Motivation, Perspective } = Details;
+  const withVariant = detail => [detail.Variant, detail.Name].filter(Boolean).join(' ');
+
+  return [
+    ...sectionHeader('YOUR VARIABLES', Code),
+    labelTable([
+      ['Determination', withVariant(Determination)],
+      ['Cognitive Tone', Determination.ToneName],
+      ['Environment', withVariant(Environment)],
+      ['Environmental Tone', Environment.ToneName],
+      ['Motivation', Motivation.Name],
+      ['Transference', loadStrings('transferences')[Motivation.Color]],
+      ['View', Perspective.Name],
+      ['Distraction', loadStrings('distractions')[Perspective.Color]]
+    ]),
+    ...bodyText(loadStrings('variables')[Code]),
+    ...bodyText(loadStrings('determinations').descriptions[Determination.Color]),
+    ...bodyText(loadStrings('environments').descriptions[Environment.Color])
+  ];
+}
+
+function channelsSection(chart) {
+  const names = loadStrings('channels').names;
+  return [
+    ...sectionHeader('YOUR CHANNELS', `${chart.channels.length} ${chart.channels.length === 1 ? 'Channel' : 'Channels'}`),
+    chart.channels.length > 0
+      ? { ul: chart.channels.map(channel => `${names[channel] || 'Channel'} (${channel})`), style: 'listBody' }
+      : { text: 'No channels are defined, so every center is open.', style: 'listBody' }
+  ];
+}
+
+function buildReportDefinition(chart, details) {
+  const sections = [typeSection, strategySection, authoritySection, profileSection, definitionSection, crossSection, variablesSection, channelsSection];
+
+  return {
+    info: { title: `Human Design Report${details.name ? ` - ${details.name}` : ''}` },
+    content: [
+      ...coverPage(chart, details),
+      ...sections.map((section, index) => ({
+        stack: section(chart),
+        pageBreak: index > 0 && index % 2 === 0 ? 'before' : undefined,
+        margin: [0, 0, 0, 30]
+      }))
+    ],
+    defaultStyle: {
+      font: 'NunitoSans',
+      fontSize: 12,
+      lineHeight: 1.3,
+      characterSpacing: 1
+    },
+    styles: {
+      bodyTextSmall: { fontSize: 10 },
+      header: { fontSize: 28, lineHeight: 0.8, font: 'Carena' },
+      supheader: { fontSize: 11, characterSpacing: 1.2, lineHeight: 1.3, bold: true, font: 'CommutersSans' },
+      listBody: { fontSize: 11, lineHeight: 1.3, characterSpacing: 0.9, color: '#303030' },
+      greyTable: { fontSize: 10, characterSpacing: 0.7, color: '#383838' },
+      greyTableLabel: { font: 'CommutersSans', characterSpacing: 1.5, color: '#707070', bold: true },
+      rightColumn: { margin: [19, 0, 0, 0], fontSize: 10 }
+    }
+  };
+}
+
+/**
+ * Render the report for a chart to a PDF buffer.
+ * `details` carries the cover text: { name, birthDate, place }.
+ */
+function renderReportPdf(chart, details = {}) {
+  return new Promise((resolve, reject) => {
+    const document = printer.createPdfKitDocument(buildReportDefinition(chart, details));
+    const chunks = [];
+    document.on('data', chunk => chunks.push(chunk));
+    document.on('end', () => resolve(Buffer.concat(chunks)));
+    document.on('error', reject);
+    document.end();
+  });
+}
+
+module.exports = {
+  buildReportDefinition,
+  renderReportPdf
+};
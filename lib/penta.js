@@ -0,0 +1,75 @@
+// Penta - the group aura of 3 to 5 people, formed by the six channels between the G, Throat and Sacral centers
+// Groups of 6 to 16 (the OC16) form a WA, which is read as pentas working together
+
+const PENTA_MAX_MEMBERS = 5;
+const WA_MAX_MEMBERS = 16;
+
+// The 12 Penta gates and the skill each one brings to the group
+// Upper Penta (G to Throat) gives direction, Lower Penta (G to Sacral) gives material energy
+const pentaGates = {
+  31: { channel: '7-31', part: 'Upper', skill: 'Leadership' },
+  7: { channel: '7-31', part: 'Upper', skill: 'Direction' },
+  8: { channel: '1-8', part: 'Upper', skill: 'Marketing' },
+  1: { channel: '1-8', part: 'Upper', skill: 'Creativity' },
+  33: { channel: '13-33', part: 'Upper', skill: 'Memory' },
+  13: { channel: '13-33', part: 'Upper', skill: 'Listening' },
+  15: { channel: '5-15', part: 'Lower', skill: 'Flow' },
+  5: { channel: '5-15', part: 'Lower', skill: 'Rhythm' },
+  2: { channel: '2-14', part: 'Lower', skill: 'Vision' },
+  14: { channel: '2-14', part: 'Lower', skill: 'Resources' },
+  46: { channel: '29-46', part: 'Lower', skill: 'Delivery' },
+  29: { channel: '29-46', part: 'Lower', skill: 'Commitment' }
+};
+
+const pentaChannels = ['7-31', '1-8', '13-33', '5-15', '2-14', '29-46'];
+
+function groupKind(memberCount) {
+  return memberCount <= PENTA_MAX_MEMBERS ? 'Penta' : 'WA';
+}
+
+/**
+ * Which Penta gates the group fills and who fills them.
+ * `members` is a list of { id, gates }.
+ */
+function analyzePenta(members) {
+  const holders = gate => members.filter(member => member.gates.includes(gate)).map(member => member.id);
+
+  const gates = Object.entries(pentaGates).map(([gate, info]) => {
+    const members = holders(Number(gate));
+    return {
+      Gate: Number(gate),
+      Skill: info.skill,
+      Part: info.part,
+      Channel: info.channel,
+      Filled: members.length > 0,
+      Members: members
+    };
+  });
+
+  const channels = pentaChannels.map(channel => {
+    const channelGates = gates.filter(gate => gate.Channel === channel);
+    return {
+      Channel: channel,
+      Part: channelGates[0].Part,
+      Defined: channelGates.every(gate => gate.Filled),
+      Gates: channelGates.map(gate => gate.Gate)
+    };
+  });
+
+  return {
+    Gates: gates,
+    Channels: channels,
+    FilledGates: gates.filter(gate => gate.Filled).map(gate => gate.Gate),
+    MissingGates: gates.filter(gate => !gate.Filled).map(gate => ({ Gate: gate.Gate, Skill: gate.Skill, Part: gate.Part })),
+    Complete: gates.every(gate => gate.Filled)
+  };
+}
+
+module.exports = {
+  PENTA_MAX_MEMBERS,
+  WA_MAX_MEMBERS,
+  pentaGates,
+  pentaChannels,
+  groupKind,
+  analyzePenta
+};
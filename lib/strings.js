@@ -0,0 +1,21 @@
+// Loader for the report string tables that ship with the pdf-maker sample app
+const path = require('path');
+
+const STRINGS_DIR = path.join(__dirname, '..', 'sample-apps', 'pdf-maker', 'server', 'src', 'strings');
+
+const cache = {};
+
+/**
+ * Load a string table by name (e.g. 'determinations' for determinations.json)
+ */
+function loadStrings(name) {
+  if (!cache[name]) {
+    cache[name] = require(path.join(STRINGS_DIR, `${name}.json`));
+  }
+  return cache[name];
+}
+
+module.exports = {
+  STRINGS_DIR,
+  loadStrings
+};
@@ -0,0 +1,24 @@
+// Shared pieces of the server-side SVG renderers (bodygraph and Rave Mandala)
+
+// Personality and Design colors
+const sideColors = {
+  Personality: '#1a1a1a',
+  Design: '#c53030'
+};
+
+// Glyphs for opt-in bodies that planetGlyphs does not cover
+const extraGlyphs = {
+  Chiron: '⚷',
+  Lilith: '⚸',
+  'True Lilith': '⚸'
+};
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]));
+}
+
+module.exports = {
+  sideColors,
+  extraGlyphs,
+  escapeXml
+};
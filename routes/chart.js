@@ -2,72 +2,142 @@ const express = require('express');
 const router = express.Router();
 const moment = require('moment-timezone');
 const HDKit = require('../lib/hdkit-calculator');
+const { resolveBirthPlace, formatBirthPlace, validateChartParams, requestLocale, calculateChartResponse } = require('../lib/chart-request');
 
 // Single Human Design Chart endpoint
 router.get('/hd-data', async (req, res) => {
   try {
-    const { date, timezone } = req.query;
+    const chartParams = validateChartParams(req.query);
+    if (chartParams.error) {
+      return res.status(400).json(chartParams.error);
+    }
+
+    const response = await calculateChartResponse(chartParams, req.query.bodies, requestLocale(req, res));
+
+    res.json(response);
     
-    // Validation
-    if (!date || !timezone) {
-      return res.status(400).json({
-        error: 'Missing required parameters',
-        message: 'Both date and timezone parameters are required',
-        example: '/api/hd-data?date=1988-07-22T17:06:00&timezone=Europe/London'
-      });
+  } catch (error) {
+    console.error('Error calculating HD chart:', error);
+    res.status(500).json({
+      error: 'Chart calculation failed',
+      message: 'Unable to calculate Human Design chart',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Batch limits - items per request and how many charts are calculated at once.
+// A JSON response is buffered whole (about 14 KB per chart), so it takes fewer items than an NDJSON stream.
+const BATCH_MAX_ITEMS = 5000;
+const BATCH_MAX_JSON_ITEMS = 500;
+const BATCH_DEFAULT_CONCURRENCY = 4;
+const BATCH_MAX_CONCURRENCY = 16;
+
+// Run `worker` over `items` with at most `limit` in flight; `onResult` receives results as they finish.
+// Chart calculation is synchronous, so each item first yields to the event loop to keep other requests served.
+async function runWithConcurrency(items, limit, worker, onResult) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await new Promise(resolve => setImmediate(resolve));
+      onResult(await worker(items[index], index));
     }
+  });
+  await Promise.all(runners);
+}
 
-    // Validate date format
-    const birthMoment = moment.tz(date, timezone);
-    if (!birthMoment.isValid()) {
-      return res.status(400).json({
-        error: 'Invalid date or timezone',
-        message: 'Please provide a valid ISO date and timezone',
-        example: 'date=1988-07-22T17:06:00&timezone=Europe/London'
+// Calculate one batch item; failures become a per-item error instead of failing the batch
+async function calculateBatchItem(item, index, locale) {
+  const id = item && item.id !== undefined ? item.id : null;
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { id, index, error: { error: 'Invalid item', message: 'Each item must be an object with date and timezone or lat/lon' } };
+  }
+
+  const chartParams = validateChartParams(item);
+  if (chartParams.error) {
+    return { id, index, error: chartParams.error };
+  }
+
+  try {
+    return { id, index, chart: await calculateChartResponse(chartParams, item.bodies, locale) };
+  } catch (error) {
+    return { id, index, error: { error: 'Chart calculation failed', message: error.message } };
+  }
+}
+
+// Batch chart endpoint - body is an array of {id, date, timezone, lat, lon} (or {items: [...]})
+// Responds with JSON, or streams NDJSON (one line per item as it finishes) for ?format=ndjson
+// or Accept: application/x-ndjson
+router.post('/hd-data/batch', async (req, res) => {
+  const items = Array.isArray(req.body) ? req.body : req.body && req.body.items;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid batch',
+      message: 'Request body must be a non-empty array of birth records',
+      example: [{ id: 'client-1', date: '1988-07-22T17:06:00', timezone: 'Europe/London', lat: 51.5085, lon: -0.1257 }]
+    });
+  }
+
+  const streaming = req.query.format === 'ndjson' ||
+    (req.query.format === undefined && req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson');
+  const maxItems = streaming ? BATCH_MAX_ITEMS : BATCH_MAX_JSON_ITEMS;
+
+  if (items.length > maxItems) {
+    return res.status(413).json({
+      error: 'Batch too large',
+      message: streaming
+        ? `A batch can hold at most ${BATCH_MAX_ITEMS} items; received ${items.length}`
+        : `A JSON batch can hold at most ${BATCH_MAX_JSON_ITEMS} items; received ${items.length}. Use format=ndjson for up to ${BATCH_MAX_ITEMS}`
+    });
+  }
+
+  const requested = parseInt(req.query.concurrency, 10);
+  const concurrency = Number.isInteger(requested) && requested > 0
+    ? Math.min(requested, BATCH_MAX_CONCURRENCY)
+    : BATCH_DEFAULT_CONCURRENCY;
+  const locale = requestLocale(req, res);
+
+  try {
+    if (streaming) {
+      let aborted = false;
+      res.on('close', () => {
+        aborted = !res.writableEnded;
       });
+
+      res.status(200).type('application/x-ndjson');
+      await runWithConcurrency(items, concurrency, (item, index) => {
+        if (aborted) return null;
+        return calculateBatchItem(item, index, locale);
+      }, result => {
+        if (result && !aborted) res.write(`${JSON.stringify(result)}\n`);
+      });
+      return res.end();
     }
 
-    // Calculate Human Design chart using Swiss Ephemeris
-    const chartData = await HDKit.calculateChart({
-      birthTime: date,
-      timezone: timezone,
-      latitude: 51.5074, // Default to London - in production, get from location service
-      longitude: -0.1278
+    const results = new Array(items.length);
+    await runWithConcurrency(items, concurrency, (item, index) => calculateBatchItem(item, index, locale), result => {
+      results[result.index] = result;
     });
 
-    // Format response to match humandesign.ai API structure
-    const response = {
-      Properties: {
-        BirthDateLocal: birthMoment.format('Do MMMM YYYY @ HH:mm'),
-        BirthDateLocal12: birthMoment.format('Do MMMM YYYY @ hh:mm A'),
-        BirthDateUtc: birthMoment.utc().format('Do MMMM YYYY @ HH:mm'),
-        BirthDateUtc12: birthMoment.utc().format('Do MMMM YYYY @ hh:mm A'),
-        Age: moment().diff(birthMoment, 'years'),
-        DesignDateUtc: birthMoment.clone().subtract(88, 'days').utc().format('Do MMMM YYYY @ HH:mm'),
-        DesignDateUtc12: birthMoment.clone().subtract(88, 'days').utc().format('Do MMMM YYYY @ hh:mm A'),
-        ...chartData.properties
-      },
-      ChartUrl: 'sage.humandesign.ai',
-      Personality: chartData.personality,
-      Design: chartData.design,
-      UnconsciousCenters: chartData.unconsciousCenters,
-      ConsciousCenters: chartData.consciousCenters,
-      DefinedCenters: chartData.definedCenters,
-      OpenCenters: chartData.openCenters,
-      Channels: chartData.channels,
-      Gates: chartData.gates,
-      Planets: chartData.planets,
-      Variables: chartData.variables,
-      Tooltips: chartData.tooltips
-    };
+    const failed = results.filter(result => result.error).length;
+    res.json({
+      count: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results
+    });
 
-    res.json(response);
-    
   } catch (error) {
-    console.error('Error calculating HD chart:', error);
+    console.error('Error calculating batch charts:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
-      error: 'Chart calculation failed',
-      message: 'Unable to calculate Human Design chart',
+      error: 'Batch calculation failed',
+      message: 'Unable to calculate batch charts',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -76,17 +146,39 @@ router.get('/hd-data', async (req, res) => {
 // Relationship/Composite Chart endpoint
 router.get('/hd-data-composite', async (req, res) => {
   try {
-    const { date, timezone, date1, timezone1 } = req.query;
-    
+    const { date, date1 } = req.query;
+    const place1 = resolveBirthPlace(req.query);
+    const place2 = resolveBirthPlace(req.query, '1');
+
+    if (place1.error || place2.error) {
+      return res.status(400).json({
+        error: 'Invalid birth place',
+        message: place1.error || place2.error,
+        example: '/api/hd-data-composite?date=1988-07-22T17:06:00&location=2643743&date1=1990-03-15T09:30:00&location1=5128581'
+      });
+    }
+
+    const timezone = place1.timezone;
+    const timezone1 = place2.timezone;
+
     // Validation
     if (!date || !timezone || !date1 || !timezone1) {
       return res.status(400).json({
         error: 'Missing required parameters',
-        message: 'All parameters are required: date, timezone, date1, timezone1',
+        message: 'date and date1 are required, each with a timezone or a birth place (lat/lon or location)',
         example: '/api/hd-data-composite?date=1988-07-22T17:06:00&timezone=Europe/London&date1=1990-03-15T09:30:00&timezone1=America/New_York'
       });
     }
 
+    try {
+      HDKit.parseBodies(req.query.bodies);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid bodies parameter',
+        message: error.message
+      });
+    }
+
     // Validate dates
     const birthMoment1 = moment.tz(date, timezone);
     const birthMoment2 = moment.tz(date1, timezone1);
@@ -98,23 +190,38 @@ router.get('/hd-data-composite', async (req, res) => {
       });
     }
 
+    try {
+      HDKit.assertInEphemerisRange(birthMoment1.toDate());
+      HDKit.assertInEphemerisRange(birthMoment2.toDate());
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Date out of range',
+        message: error.message
+      });
+    }
+
     // Calculate individual charts using Swiss Ephemeris
+    const locale = requestLocale(req, res);
     const chart1 = await HDKit.calculateChart({
       birthTime: date,
       timezone: timezone,
-      latitude: 51.5074,
-      longitude: -0.1278
+      latitude: place1.latitude,
+      longitude: place1.longitude,
+      bodies: req.query.bodies,
+      locale
     });
 
     const chart2 = await HDKit.calculateChart({
       birthTime: date1,
       timezone: timezone1,
-      latitude: 40.7128,
-      longitude: -74.0060
+      latitude: place2.latitude,
+      longitude: place2.longitude,
+      bodies: req.query.bodies,
+      locale
     });
 
     // Calculate composite/relationship chart
-    const composite = HDKit.calculateComposite(chart1, chart2);
+    const composite = HDKit.calculateComposite(chart1, chart2, locale);
 
     // Format response to match humandesign.ai API structure
     const response = {
@@ -125,6 +232,7 @@ router.get('/hd-data-composite', async (req, res) => {
           BirthDateUtc: birthMoment1.utc().format('Do MMMM YYYY @ HH:mm'),
           BirthDateUtc12: birthMoment1.utc().format('Do MMMM YYYY @ hh:mm A'),
           Age: moment().diff(birthMoment1, 'years'),
+          BirthPlace: formatBirthPlace(place1),
           ...chart1.properties
         },
         ChartUrl: 'sage.humandesign.ai',
@@ -137,6 +245,7 @@ router.get('/hd-data-composite', async (req, res) => {
           BirthDateUtc: birthMoment2.utc().format('Do MMMM YYYY @ HH:mm'),
           BirthDateUtc12: birthMoment2.utc().format('Do MMMM YYYY @ hh:mm A'),
           Age: moment().diff(birthMoment2, 'years'),
+          BirthPlace: formatBirthPlace(place2),
           ...chart2.properties
         },
         ChartUrl: 'sage.humandesign.ai',
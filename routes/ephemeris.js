@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const HDKit = require('../lib/hdkit-calculator');
+const { parseTransitMoment } = require('../lib/chart-request');
+
+// Longest range one request may scan - a year of Moon gates and lines is ~5,100 events
+const INGRESS_MAX_DAYS = 366;
+const INGRESS_DEFAULT_DAYS = 7;
+
+// Ingress calendar - gate/line changes and retrograde stations between `from` and `to`
+router.get('/ephemeris/ingresses', async (req, res) => {
+  try {
+    const fromMoment = parseTransitMoment(req.query.from);
+    const toMoment = req.query.to ? parseTransitMoment(req.query.to) : fromMoment && fromMoment.clone().add(INGRESS_DEFAULT_DAYS, 'days');
+
+    if (!fromMoment || !toMoment || !toMoment.isAfter(fromMoment)) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'from and to must be ISO 8601 dates (UTC without an offset) with to after from',
+        example: '/api/ephemeris/ingresses?from=2024-03-18&to=2024-03-25&bodies=sun,earth,moon'
+      });
+    }
+
+    if (toMoment.diff(fromMoment, 'days', true) > INGRESS_MAX_DAYS) {
+      return res.status(400).json({
+        error: 'Date range too long',
+        message: `A request can cover at most ${INGRESS_MAX_DAYS} days`
+      });
+    }
+
+    try {
+      HDKit.parseIngressBodies(req.query.bodies);
+      HDKit.parseIngressEvents(req.query.events);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid bodies or events parameter',
+        message: error.message,
+        example: '/api/ephemeris/ingresses?from=2024-03-18&to=2024-03-25&bodies=mercury,venus&events=gates,stations'
+      });
+    }
+
+    const fromDate = fromMoment.toDate();
+    const toDate = toMoment.toDate();
+    try {
+      HDKit.assertInEphemerisRange(fromDate);
+      HDKit.assertInEphemerisRange(toDate);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Date out of range',
+        message: error.message
+      });
+    }
+
+    const events = await HDKit.findIngresses({
+      fromJulianDay: await HDKit.getJulianDay(fromDate),
+      toJulianDay: await HDKit.getJulianDay(toDate),
+      bodies: req.query.bodies,
+      events: req.query.events
+    });
+
+    res.json({
+      Properties: {
+        FromUtc: fromMoment.toISOString(),
+        ToUtc: toMoment.toISOString(),
+        Bodies: HDKit.parseIngressBodies(req.query.bodies),
+        Count: events.length
+      },
+      Events: events,
+      Ephemeris: HDKit.getEphemerisInfo()
+    });
+
+  } catch (error) {
+    console.error('Error calculating ingresses:', error);
+    res.status(500).json({
+      error: 'Ingress calculation failed',
+      message: 'Unable to calculate the ingress calendar',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
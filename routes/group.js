@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const HDKit = require('../lib/hdkit-calculator');
+const { validateChartParams } = require('../lib/chart-request');
+const { WA_MAX_MEMBERS } = require('../lib/penta');
+
+const GROUP_MIN_MEMBERS = 3;
+
+// Group analysis - body is an array of {id, date, timezone, lat, lon} (or {members: [...]})
+// 3-5 members are read as a Penta, 6-16 as a WA
+router.post('/group', async (req, res) => {
+  try {
+    const records = Array.isArray(req.body) ? req.body : req.body && req.body.members;
+
+    if (!Array.isArray(records) || records.length < GROUP_MIN_MEMBERS || records.length > WA_MAX_MEMBERS) {
+      return res.status(400).json({
+        error: 'Invalid group',
+        message: `Request body must be an array of ${GROUP_MIN_MEMBERS} to ${WA_MAX_MEMBERS} birth records`,
+        example: {
+          members: [
+            { id: 'ana', date: '1988-07-22T17:06:00', timezone: 'Europe/London' },
+            { id: 'ben', date: '1990-03-15T09:30:00', timezone: 'America/New_York' },
+            { id: 'cy', date: '1985-11-02T06:45:00', lat: 14.6042, lon: 120.9822 }
+          ]
+        }
+      });
+    }
+
+    // Members without an id are numbered from 1
+    const ids = records.map((record, index) => (record && record.id !== undefined ? record.id : index + 1));
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({
+        error: 'Invalid group',
+        message: 'Member ids must be unique'
+      });
+    }
+
+    const members = [];
+    for (const [index, record] of records.entries()) {
+      const chartParams = record && typeof record === 'object' ? validateChartParams(record) : {
+        error: { error: 'Invalid member', message: 'Each member must be an object with date and timezone or lat/lon' }
+      };
+      if (chartParams.error) {
+        return res.status(400).json({ ...chartParams.error, member: ids[index] });
+      }
+
+      const { date, place } = chartParams;
+      members.push({
+        id: ids[index],
+        chart: await HDKit.calculateChart({
+          birthTime: date,
+          timezone: place.timezone,
+          latitude: place.latitude,
+          longitude: place.longitude
+        })
+      });
+    }
+
+    res.json(HDKit.calculateGroup(members));
+
+  } catch (error) {
+    console.error('Error calculating group:', error);
+    res.status(500).json({
+      error: 'Group calculation failed',
+      message: 'Unable to calculate group analysis',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const HDKit = require('../lib/hdkit-calculator');
+const { getGazetteerInfo } = require('../lib/locations');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -10,6 +12,8 @@ router.get('/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     version: '1.0.0',
     service: 'SAGE Human Design API',
+    ephemeris: HDKit.getEphemerisInfo(),
+    gazetteer: getGazetteerInfo(),
     memory: {
       used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024 * 100) / 100,
       total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024 * 100) / 100
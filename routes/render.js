@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const HDKit = require('../lib/hdkit-calculator');
+const { validateChartParams } = require('../lib/chart-request');
+const { renderMandalaSvg } = require('../lib/mandala-svg');
+const { renderBodygraphSvg, svgToPng } = require('../lib/bodygraph-svg');
+
+// Calculate the chart for a render route; responds with the 400 itself and returns null on bad parameters
+async function chartForRender(req, res) {
+  const chartParams = validateChartParams(req.query);
+  if (chartParams.error) {
+    res.status(400).json(chartParams.error);
+    return null;
+  }
+
+  const { date, place, birthMoment } = chartParams;
+  const chart = await HDKit.calculateChart({
+    birthTime: date,
+    timezone: place.timezone,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    bodies: req.query.bodies
+  });
+
+  return { chart, place, birthMoment };
+}
+
+function renderSize(query, fallback) {
+  return Math.min(Math.max(parseInt(query.size, 10) || fallback, 200), 4000);
+}
+
+function chartSubtitle(birthMoment, place) {
+  return `${birthMoment.format('D MMM YYYY HH:mm')} ${place.name || place.timezone}`;
+}
+
+// Rave Mandala wheel with the chart's Personality and Design activations
+router.get('/render/mandala.svg', async (req, res) => {
+  try {
+    const result = await chartForRender(req, res);
+    if (!result) return;
+
+    const { chart, place, birthMoment } = result;
+    const svg = renderMandalaSvg(chart, {
+      title: req.query.name || chart.properties.Type.Id,
+      subtitle: chartSubtitle(birthMoment, place),
+      size: renderSize(req.query, 800)
+    });
+
+    res.type('image/svg+xml').send(svg);
+
+  } catch (error) {
+    console.error('Error rendering mandala:', error);
+    res.status(500).json({
+      error: 'Render failed',
+      message: 'Unable to render the Rave Mandala',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Bodygraph with Design and Personality activation columns; PNG via bodygraph.png or ?format=png
+router.get(['/render/bodygraph.svg', '/render/bodygraph.png'], async (req, res) => {
+  try {
+    const result = await chartForRender(req, res);
+    if (!result) return;
+
+    const { chart, place, birthMoment } = result;
+    const size = renderSize(req.query, 800);
+    const svg = renderBodygraphSvg(chart, {
+      title: req.query.name || `${chart.properties.Type.Id} ${chart.properties.Profile.Id}`,
+      subtitle: chartSubtitle(birthMoment, place),
+      size
+    });
+
+    if (req.path.endsWith('.png') || req.query.format === 'png') {
+      return res.type('image/png').send(svgToPng(svg, size));
+    }
+
+    res.type('image/svg+xml').send(svg);
+
+  } catch (error) {
+    console.error('Error rendering bodygraph:', error);
+    res.status(500).json({
+      error: 'Render failed',
+      message: 'Unable to render the bodygraph',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const HDKit = require('../lib/hdkit-calculator');
+const { validateChartParams } = require('../lib/chart-request');
+const { renderReportPdf } = require('../lib/pdf-report');
+
+// PDF report - body is one birth record {name, date, timezone | lat/lon | location}
+router.post('/reports/pdf', async (req, res) => {
+  try {
+    const record = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    const chartParams = validateChartParams(record);
+    if (chartParams.error) {
+      return res.status(400).json({
+        ...chartParams.error,
+        example: { name: 'Ana', date: '1988-07-22T17:06:00', timezone: 'Europe/London' }
+      });
+    }
+
+    const { date, place, birthMoment } = chartParams;
+    const chart = await HDKit.calculateChart({
+      birthTime: date,
+      timezone: place.timezone,
+      latitude: place.latitude,
+      longitude: place.longitude
+    });
+
+    const pdf = await renderReportPdf(chart, {
+      name: record.name,
+      birthDate: birthMoment.format('D MMMM YYYY, HH:mm'),
+      place: place.name || place.timezone
+    });
+
+    const fileName = `human-design-${String(record.name || 'report').replace(/[^\w-]+/g, '_')}.pdf`;
+    res.type('application/pdf')
+      .set('Content-Disposition', `attachment; filename="${fileName}"`)
+      .send(pdf);
+
+  } catch (error) {
+    console.error('Error generating PDF report:', error);
+    res.status(500).json({
+      error: 'Report failed',
+      message: 'Unable to generate the PDF report',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment-timezone');
+const HDKit = require('../lib/hdkit-calculator');
+const { validateChartParams, requestLocale, calculateChartResponse, parseTransitMoment, formatTransitDate } = require('../lib/chart-request');
+
+// Transit activations at a moment (`at`, defaults to now)
+router.get('/transits', async (req, res) => {
+  try {
+    const transitMoment = parseTransitMoment(req.query.at);
+    if (!transitMoment) {
+      return res.status(400).json({
+        error: 'Invalid transit date',
+        message: 'at must be an ISO 8601 date; without an offset it is read as UTC',
+        example: '/api/transits?at=2024-03-20T03:06:00Z'
+      });
+    }
+
+    try {
+      HDKit.parseBodies(req.query.bodies);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid bodies parameter',
+        message: error.message
+      });
+    }
+
+    try {
+      HDKit.assertInEphemerisRange(transitMoment.toDate());
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Transit date out of range',
+        message: error.message
+      });
+    }
+
+    const transit = await HDKit.calculateTransit({ at: transitMoment.toDate(), bodies: req.query.bodies, locale: requestLocale(req, res) });
+
+    res.json({
+      Properties: formatTransitDate(transitMoment),
+      Transit: transit.planets,
+      Gates: transit.gates,
+      Channels: transit.channels,
+      DefinedCenters: transit.definedCenters,
+      OpenCenters: transit.openCenters,
+      Planets: transit.planetList,
+      Ephemeris: HDKit.getEphemerisInfo()
+    });
+
+  } catch (error) {
+    console.error('Error calculating transit:', error);
+    res.status(500).json({
+      error: 'Transit calculation failed',
+      message: 'Unable to calculate transit activations',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Natal chart (same parameters as /api/hd-data) with the transit at `at` laid over it
+router.get('/hd-data/transit-overlay', async (req, res) => {
+  try {
+    const chartParams = validateChartParams(req.query);
+    if (chartParams.error) {
+      return res.status(400).json(chartParams.error);
+    }
+
+    const transitMoment = parseTransitMoment(req.query.at);
+    if (!transitMoment) {
+      return res.status(400).json({
+        error: 'Invalid transit date',
+        message: 'at must be an ISO 8601 date; without an offset it is read as UTC',
+        example: '/api/hd-data/transit-overlay?date=1988-07-22T17:06:00&timezone=Europe/London&at=2024-03-20T03:06:00Z'
+      });
+    }
+
+    try {
+      HDKit.assertInEphemerisRange(transitMoment.toDate());
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Transit date out of range',
+        message: error.message
+      });
+    }
+
+    const locale = requestLocale(req, res);
+    const natal = await calculateChartResponse(chartParams, req.query.bodies, locale);
+    const transit = await HDKit.calculateTransit({ at: transitMoment.toDate(), bodies: req.query.bodies, locale });
+    const overlay = HDKit.calculateTransitOverlay({
+      gates: natal.Gates,
+      channels: natal.Channels,
+      definedCenters: natal.DefinedCenters
+    }, transit);
+
+    res.json({
+      Properties: {
+        ...formatTransitDate(transitMoment),
+        Natal: natal.Properties
+      },
+      Natal: {
+        Personality: natal.Personality,
+        Design: natal.Design,
+        Gates: natal.Gates,
+        Channels: natal.Channels,
+        DefinedCenters: natal.DefinedCenters
+      },
+      Transit: transit.planets,
+      ...overlay,
+      Planets: transit.planetList,
+      Ephemeris: natal.Ephemeris
+    });
+
+  } catch (error) {
+    console.error('Error calculating transit overlay:', error);
+    res.status(500).json({
+      error: 'Transit overlay calculation failed',
+      message: 'Unable to overlay the transit on the natal chart',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Return chart - Solar Return for `year`, or the `number`th Saturn Return, Uranus Opposition or Chiron Return,
+// calculated as a full chart at the return moment and overlaid on the natal chart
+router.get('/hd-data/return', async (req, res) => {
+  try {
+    const chartParams = validateChartParams(req.query);
+    if (chartParams.error) {
+      return res.status(400).json(chartParams.error);
+    }
+
+    const type = req.query.type || 'solar';
+    const { birthMoment } = chartParams;
+    const number = type === 'solar'
+      ? parseInt(req.query.year || moment.utc().year(), 10) - birthMoment.clone().utc().year()
+      : parseInt(req.query.number || 1, 10);
+
+    if (!Number.isInteger(number) || number < 1) {
+      return res.status(400).json({
+        error: 'Invalid return',
+        message: type === 'solar' ? 'year must be after the birth year' : 'number must be 1 or more',
+        example: '/api/hd-data/return?date=1988-07-22T17:06:00&timezone=Europe/London&type=solar&year=2025'
+      });
+    }
+
+    let planetaryReturn;
+    try {
+      planetaryReturn = await HDKit.findPlanetaryReturn({ birthDate: birthMoment.toDate(), cycle: type, number });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid return',
+        message: error.message,
+        example: '/api/hd-data/return?date=1988-07-22T17:06:00&timezone=Europe/London&type=saturn&number=1'
+      });
+    }
+
+    const returnMoment = moment.tz(planetaryReturn.date, chartParams.place.timezone);
+    const locale = requestLocale(req, res);
+    const natal = await calculateChartResponse(chartParams, req.query.bodies, locale);
+    const chart = await calculateChartResponse({
+      date: planetaryReturn.date.toISOString(),
+      place: chartParams.place,
+      birthMoment: returnMoment.clone()
+    }, req.query.bodies, locale);
+    chart.Properties.Age = returnMoment.diff(birthMoment, 'years');
+
+    const transit = await HDKit.calculateTransit({ at: planetaryReturn.date, bodies: req.query.bodies, locale });
+    const overlay = HDKit.calculateTransitOverlay({
+      gates: natal.Gates,
+      channels: natal.Channels,
+      definedCenters: natal.DefinedCenters
+    }, transit);
+
+    res.json({
+      Properties: {
+        Return: {
+          Type: planetaryReturn.type,
+          Name: planetaryReturn.name,
+          Body: planetaryReturn.body,
+          Number: planetaryReturn.number,
+          NatalLongitude: planetaryReturn.natalLongitude,
+          TargetLongitude: planetaryReturn.targetLongitude,
+          DateLocal: returnMoment.format('Do MMMM YYYY @ HH:mm'),
+          DateUtc: returnMoment.clone().utc().format('Do MMMM YYYY @ HH:mm'),
+          DateUtcIso: planetaryReturn.date.toISOString(),
+          Passes: planetaryReturn.passes.map(pass => ({
+            DateUtcIso: pass.date.toISOString(),
+            JulianDay: pass.julianDay
+          }))
+        },
+        Natal: natal.Properties
+      },
+      Chart: chart,
+      Overlay: overlay
+    });
+
+  } catch (error) {
+    console.error('Error calculating return chart:', error);
+    res.status(500).json({
+      error: 'Return chart calculation failed',
+      message: 'Unable to calculate the return chart',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Life-phase timeline - Saturn opposition and returns, Uranus opposition and Chiron return for a natal chart
+router.get('/hd-data/timeline', async (req, res) => {
+  try {
+    const chartParams = validateChartParams(req.query);
+    if (chartParams.error) {
+      return res.status(400).json(chartParams.error);
+    }
+
+    const { date, place, birthMoment } = chartParams;
+    const natalChart = await HDKit.calculateChart({
+      birthTime: date,
+      timezone: place.timezone,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      locale: requestLocale(req, res)
+    });
+    const milestones = await HDKit.calculateLifeCycles(natalChart, birthMoment.toDate());
+
+    res.json({
+      Properties: {
+        BirthDateUtcIso: birthMoment.toISOString(),
+        Age: moment().diff(birthMoment, 'years'),
+        Type: natalChart.properties.Type,
+        Profile: natalChart.properties.Profile
+      },
+      Milestones: milestones.map(milestone => ({
+        ...milestone,
+        DateLocal: moment.tz(milestone.DateUtcIso, place.timezone).format('Do MMMM YYYY @ HH:mm'),
+        Past: moment(milestone.DateUtcIso).isBefore(moment())
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error calculating life cycles:', error);
+    res.status(500).json({
+      error: 'Timeline calculation failed',
+      message: 'Unable to calculate the life-phase timeline',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,11 @@ const bodyParser = require('body-parser');
 const locationsRouter = require('./routes/locations');
 const chartRouter = require('./routes/chart');
 const healthRouter = require('./routes/health');
+const transitsRouter = require('./routes/transits');
+const ephemerisRouter = require('./routes/ephemeris');
+const groupRouter = require('./routes/group');
+const renderRouter = require('./routes/render');
+const reportsRouter = require('./routes/reports');
 
 console.log('Initializing astronomical calculations...');
 
@@ -50,6 +55,11 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/api', healthRouter);
 app.use('/api', locationsRouter);
 app.use('/api', chartRouter);
+app.use('/api', transitsRouter);
+app.use('/api', ephemerisRouter);
+app.use('/api', groupRouter);
+app.use('/api', renderRouter);
+app.use('/api', reportsRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -61,6 +71,16 @@ app.get('/', (req, res) => {
       locations: '/api/locations?query={city}',
       singleChart: '/api/hd-data?date={iso_date}&timezone={timezone}',
       relationshipChart: '/api/hd-data-composite?date={iso_date}&timezone={timezone}&date1={iso_date}&timezone1={timezone}',
+      batchCharts: 'POST /api/hd-data/batch',
+      transits: '/api/transits?at={iso_date}',
+      transitOverlay: '/api/hd-data/transit-overlay?date={iso_date}&timezone={timezone}&at={iso_date}',
+      returnChart: '/api/hd-data/return?date={iso_date}&timezone={timezone}&type={solar|saturn|saturn-opposition|uranus-opposition|chiron}',
+      timeline: '/api/hd-data/timeline?date={iso_date}&timezone={timezone}',
+      group: 'POST /api/group',
+      mandala: '/api/render/mandala.svg?date={iso_date}&timezone={timezone}',
+      bodygraph: '/api/render/bodygraph.svg?date={iso_date}&timezone={timezone}',
+      pdfReport: 'POST /api/reports/pdf',
+      ingresses: '/api/ephemeris/ingresses?from={iso_date}&to={iso_date}&bodies={bodies}',
       health: '/api/health'
     },
     documentation: 'https://github.com/sphinxcode/hdkit#api-documentation'
@@ -77,7 +97,17 @@ app.use('*', (req, res) => {
       'GET /api/health',
       'GET /api/locations?query={city}',
       'GET /api/hd-data?date={iso_date}&timezone={timezone}',
-      'GET /api/hd-data-composite?date={iso_date}&timezone={timezone}&date1={iso_date}&timezone1={timezone}'
+      'GET /api/hd-data-composite?date={iso_date}&timezone={timezone}&date1={iso_date}&timezone1={timezone}',
+      'POST /api/hd-data/batch',
+      'GET /api/transits?at={iso_date}',
+      'GET /api/hd-data/transit-overlay?date={iso_date}&timezone={timezone}&at={iso_date}',
+      'GET /api/hd-data/return?date={iso_date}&timezone={timezone}&type={solar|saturn|saturn-opposition|uranus-opposition|chiron}',
+      'GET /api/hd-data/timeline?date={iso_date}&timezone={timezone}',
+      'GET /api/ephemeris/ingresses?from={iso_date}&to={iso_date}&bodies={bodies}',
+      'POST /api/group',
+      'GET /api/render/mandala.svg?date={iso_date}&timezone={timezone}',
+      'GET /api/render/bodygraph.svg?date={iso_date}&timezone={timezone}',
+      'POST /api/reports/pdf'
     ]
   });
 });
@@ -0,0 +1,36 @@
+// Inner authority - the hierarchy from Solar Plexus down to Mental/Environmental
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+const knownCharts = require('./fixtures/known-charts.json');
+
+const authorityOf = channels => {
+  const definedCenters = HDKit.calculateDefinedCenters(channels);
+  return HDKit.determineAuthority(HDKit.determineType(definedCenters, channels), definedCenters, channels).authority;
+};
+
+test('authority follows the hierarchy of defined centers', () => {
+  assert.strictEqual(authorityOf(['6-59']), 'Emotional - Solar Plexus');
+  assert.strictEqual(authorityOf(['2-14', '27-50']), 'Sacral');
+  assert.strictEqual(authorityOf(['18-58']), 'Splenic');
+  assert.strictEqual(authorityOf(['21-45']), 'Ego Manifested');
+  assert.strictEqual(authorityOf(['25-51', '4-63']), 'Ego Projected');
+  assert.strictEqual(authorityOf(['1-8']), 'Self-Projected');
+  assert.strictEqual(authorityOf(['4-63', '17-62']), 'Mental - Environmental');
+  assert.strictEqual(authorityOf([]), 'Lunar');
+});
+
+test('authority of the known charts', async () => {
+  const expected = {
+    'Manifesting Generator': 'Emotional - Solar Plexus',
+    Manifestor: 'Emotional - Solar Plexus',
+    Projector: 'Splenic',
+    Generator: 'Sacral',
+    Reflector: 'Lunar'
+  };
+
+  for (const fixture of knownCharts) {
+    const chart = await HDKit.calculateChart({ birthTime: fixture.date, timezone: fixture.timezone });
+    assert.strictEqual(chart.properties.InnerAuthority.Id, expected[fixture.type], fixture.name);
+  }
+});
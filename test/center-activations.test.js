@@ -0,0 +1,37 @@
+// Conscious and unconscious centers - which side's gates complete each channel
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+const { centers } = require('../lib/center-graph');
+
+const sideOf = gates => Object.fromEntries(gates.map((gate, index) => [HDKit.activationBodies[index], { Gate: gate }]));
+
+const activations = (personalityGates, designGates) => {
+  const gates = [...new Set([...personalityGates, ...designGates])];
+  const channels = HDKit.calculateChannels(gates);
+  const { consciousCenters, unconsciousCenters } = HDKit.calculateCenterActivations(sideOf(personalityGates), sideOf(designGates), channels, HDKit.calculateDefinedCenters(channels));
+  return { consciousCenters: consciousCenters.sort(), unconsciousCenters: unconsciousCenters.sort() };
+};
+
+test('a channel completed on one side defines its centers on that side only', () => {
+  assert.deepStrictEqual(activations([1, 8], [2, 14]), {
+    consciousCenters: [centers.THROAT, centers.G].sort(),
+    unconsciousCenters: [centers.G, centers.SACRAL].sort()
+  });
+});
+
+test('a channel that needs gates from both sides counts for both', () => {
+  assert.deepStrictEqual(activations([18], [58]), {
+    consciousCenters: [centers.SPLENIC, centers.ROOT].sort(),
+    unconsciousCenters: [centers.SPLENIC, centers.ROOT].sort()
+  });
+});
+
+test('opt-in bodies do not complete channels for a side', () => {
+  const personality = { ...sideOf([1]), Chiron: { Gate: 8 } };
+  const channels = ['1-8'];
+  const { consciousCenters, unconsciousCenters } = HDKit.calculateCenterActivations(personality, sideOf([8]), channels, HDKit.calculateDefinedCenters(channels));
+
+  assert.deepStrictEqual(consciousCenters.sort(), [centers.THROAT, centers.G].sort());
+  assert.deepStrictEqual(unconsciousCenters.sort(), [centers.THROAT, centers.G].sort());
+});
@@ -0,0 +1,59 @@
+// Definition tests - connected areas of the center graph
+const test = require('node:test');
+const assert = require('node:assert');
+const { centers, buildCenterGraph, analyzeDefinition } = require('../lib/center-graph');
+
+test('buildCenterGraph links both centers of each channel and skips unknown keys', () => {
+  const graph = buildCenterGraph(['1-8', '99-100']);
+
+  assert.deepStrictEqual([...graph.keys()].sort(), [centers.G, centers.THROAT].sort());
+  assert.ok(graph.get(centers.G).has(centers.THROAT));
+  assert.ok(graph.get(centers.THROAT).has(centers.G));
+});
+
+test('No Definition without channels', () => {
+  assert.deepStrictEqual(analyzeDefinition([]), { definition: 'No Definition', componentCount: 0, areas: [] });
+});
+
+test('Single Definition when every defined center is connected', () => {
+  const { definition, areas } = analyzeDefinition(['2-14', '13-33', '20-34']);
+
+  assert.strictEqual(definition, 'Single Definition');
+  assert.deepStrictEqual(areas, [[centers.THROAT, centers.G, centers.SACRAL]]);
+});
+
+test('Split Definition with two separate areas', () => {
+  const { definition, areas } = analyzeDefinition(['1-8', '18-58']);
+
+  assert.strictEqual(definition, 'Split Definition');
+  assert.deepStrictEqual(areas, [[centers.THROAT, centers.G], [centers.SPLENIC, centers.ROOT]]);
+});
+
+test('Triple Split Definition with three separate areas', () => {
+  const { definition, componentCount } = analyzeDefinition(['4-63', '2-14', '18-58']);
+
+  assert.strictEqual(definition, 'Triple Split Definition');
+  assert.strictEqual(componentCount, 3);
+});
+
+test('Quadruple Split Definition with four separate areas', () => {
+  const { definition, areas } = analyzeDefinition(['4-63', '21-45', '2-14', '18-58']);
+
+  assert.strictEqual(definition, 'Quadruple Split Definition');
+  assert.deepStrictEqual(areas, [
+    [centers.HEAD, centers.AJNA],
+    [centers.THROAT, centers.HEART],
+    [centers.G, centers.SACRAL],
+    [centers.SPLENIC, centers.ROOT]
+  ]);
+});
+
+test('areas that only meet at an open center stay split', () => {
+  // Ajna and G both have channels to the Throat, but the Throat is open here
+  const { definition, areas } = analyzeDefinition(['4-63', '2-14']);
+  assert.strictEqual(definition, 'Split Definition');
+  assert.deepStrictEqual(areas, [[centers.HEAD, centers.AJNA], [centers.G, centers.SACRAL]]);
+
+  // Defining the Throat from both sides bridges them into one area
+  assert.strictEqual(analyzeDefinition(['4-63', '2-14', '17-62', '1-8']).definition, 'Single Definition');
+});
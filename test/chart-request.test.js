@@ -0,0 +1,18 @@
+// Chart request validation - parameter errors come back as 400 bodies instead of throwing
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateChartParams } = require('../lib/chart-request');
+
+test('validateChartParams accepts a date inside the ephemeris range', () => {
+  const result = validateChartParams({ date: '1988-07-22T17:06:00', timezone: 'Europe/London' });
+
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.birthMoment.toISOString(), '1988-07-22T16:06:00.000Z');
+});
+
+test('validateChartParams rejects a birth date outside the ephemeris range with the supported years', () => {
+  const { error } = validateChartParams({ date: '3500-01-01T00:00:00', timezone: 'UTC' });
+
+  assert.strictEqual(error.error, 'Date out of range');
+  assert.match(error.message, /3500 is outside the .* range \(-3000 to 3000\)/);
+});
@@ -0,0 +1,80 @@
+// Composite charts - definition and connection theme from both people's gates
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+const { centers } = require('../lib/center-graph');
+
+// A chart holding `personality` gates on the Personality side and `design` gates on the Design side
+const sideOf = gates => Object.fromEntries(gates.map((gate, index) => [HDKit.activationBodies[index], { Gate: gate }]));
+const chartWith = (personality, design = []) => ({
+  gates: [...new Set([...personality, ...design])],
+  personality: sideOf(personality),
+  design: sideOf(design)
+});
+
+test('composite properties carry content descriptions', () => {
+  // 1-8 from one person and 2-14 from the other: Throat, G and Sacral defined, six centers open
+  const { Properties } = HDKit.calculateComposite(chartWith([1, 2]), chartWith([8, 14]));
+
+  assert.strictEqual(Properties.Definition.Id, 'Single Definition');
+  assert.strictEqual(Properties.Definition.Description, HDKit.content.describe('definitions', 'Single Definition').Description);
+  assert.ok(Properties.Definition.Description);
+
+  assert.strictEqual(Properties.ConnectionTheme.Id, '3 - 6, Open and Flowing');
+  assert.strictEqual(Properties.ConnectionTheme.ThemeDescription, HDKit.content.describe('connectionThemes', 'Open and Flowing').Description);
+  assert.ok(Properties.ConnectionTheme.ThemeDescription);
+});
+
+test('Strategy descriptions do not repeat the Strategy', () => {
+  ['Generator', 'Manifesting Generator', 'Projector', 'Manifestor', 'Reflector'].forEach(type => {
+    const { Description } = HDKit.content.describe('strategies', type);
+    assert.ok(Description && Description !== HDKit.getStrategy(type));
+  });
+});
+
+test('composite labels follow the locale while Ids stay English', () => {
+  const { Properties } = HDKit.calculateComposite(chartWith([1, 2]), chartWith([8, 14]), 'es');
+
+  assert.strictEqual(Properties.ConnectionTheme.Name, 'Tema de Conexión');
+  assert.strictEqual(Properties.ConnectionTheme.Id, '3 - 6, Open and Flowing');
+  assert.strictEqual(Properties.ConnectionTheme.Option, '3 - 6, Abierta y Fluida');
+  assert.strictEqual(Properties.RelationshipChannels.Electromagnetic.Name, 'Canales Electromagnéticos');
+  assert.strictEqual(Properties.RelationshipChannels.Electromagnetic.Id, 'Electromagnetic Channels');
+});
+
+test('centers defined by an electromagnetic channel are conscious or unconscious by the sides that hold its gates', () => {
+  const consciousOnly = HDKit.calculateComposite(chartWith([1]), chartWith([8]));
+  assert.deepStrictEqual(consciousOnly.DefinedCenters.sort(), [centers.THROAT, centers.G].sort());
+  assert.deepStrictEqual(consciousOnly.ConsciousCenters.sort(), [centers.THROAT, centers.G].sort());
+  assert.deepStrictEqual(consciousOnly.UnconsciousCenters, []);
+
+  // Personality 1 and Design 8 need both sides, so the centers count for both
+  const bothSides = HDKit.calculateComposite(chartWith([1]), chartWith([], [8]));
+  assert.deepStrictEqual(bothSides.ConsciousCenters.sort(), [centers.THROAT, centers.G].sort());
+  assert.deepStrictEqual(bothSides.UnconsciousCenters.sort(), [centers.THROAT, centers.G].sort());
+});
+
+test('bridges list direct channels between areas and channel pairs through an open center', () => {
+  // 1-8 joins the G/Sacral area (2-14) to the Throat/Heart area (21-45) directly
+  const direct = HDKit.calculateComposite(chartWith([2, 14, 1]), chartWith([21, 45])).Properties.Definition;
+  assert.strictEqual(direct.Id, 'Split Definition');
+  assert.deepStrictEqual(direct.Bridges[0], {
+    Channel: '1-8',
+    Name: 'Channel of Inspiration',
+    Connects: [centers.G, centers.THROAT],
+    Gates: [{ Gate: 1, Members: [1] }, { Gate: 8, Members: [] }],
+    MissingGates: [8]
+  });
+
+  // Head/Ajna (4-63) and G/Sacral (2-14) only meet through the open Throat: 1-8 and 17-62 join them
+  const throughThroat = HDKit.calculateComposite(chartWith([4, 63, 17]), chartWith([2, 14, 8])).Properties.Definition;
+  assert.strictEqual(throughThroat.Id, 'Split Definition');
+  assert.deepStrictEqual(throughThroat.Bridges, []);
+  assert.deepStrictEqual(throughThroat.OpenCenterBridges[0], {
+    Channels: [{ Channel: '1-8', Name: 'Channel of Inspiration' }, { Channel: '17-62', Name: 'Channel of Acceptance' }],
+    Through: centers.THROAT,
+    Connects: [centers.G, centers.AJNA],
+    Gates: [{ Gate: 1, Members: [] }, { Gate: 8, Members: [2] }, { Gate: 17, Members: [1] }, { Gate: 62, Members: [] }],
+    MissingGates: [1, 62]
+  });
+});
@@ -0,0 +1,33 @@
+// Design date - the Sun 88° before its birth longitude, found with the longitude solver
+const test = require('node:test');
+const assert = require('node:assert');
+const swisseph = require('swisseph');
+const HDKit = require('../lib/hdkit-calculator');
+
+const julianDay = iso => HDKit.getJulianDay(new Date(iso));
+const sunLongitude = async day => (await HDKit.getPlanetPosition(day, swisseph.SE_SUN)).longitude;
+const minutesApart = (date, expected) => Math.abs(date - new Date(expected)) / 60000;
+
+test('solveLongitude finds the March 2024 equinox across the 0° wrap', async () => {
+  const equinox = await HDKit.solveLongitude(swisseph.SE_SUN, 0, await julianDay('2024-03-18T00:00:00Z'), await julianDay('2024-03-22T00:00:00Z'));
+
+  // Published as 2024-03-20 03:06 UTC
+  assert.ok(minutesApart(HDKit.julianDayToDate(equinox), '2024-03-20T03:06:00Z') < 5);
+  assert.ok(Math.abs(((await sunLongitude(equinox)) + 180) % 360 - 180) < 1e-5);
+});
+
+test('solveLongitude rejects a window that does not cross the target', async () => {
+  await assert.rejects(
+    HDKit.solveLongitude(swisseph.SE_SUN, 90, await julianDay('2024-03-18T00:00:00Z'), await julianDay('2024-03-22T00:00:00Z')),
+    /is not crossed/
+  );
+});
+
+test('a birth at the 2024 equinox has its Design date on 2023-12-24, Sun at 2° Capricorn', async () => {
+  const birth = await julianDay('2024-03-20T03:06:00Z');
+  const design = await HDKit.findDesignDate(birth, await sunLongitude(birth));
+
+  assert.ok(minutesApart(HDKit.julianDayToDate(design), '2023-12-24T02:35:00Z') < 5);
+  const behind = ((await sunLongitude(birth)) - (await sunLongitude(design)) + 360) % 360;
+  assert.ok(Math.abs(behind - 88) < 1e-5);
+});
@@ -0,0 +1,45 @@
+// Fixing state - exalted and detriment lines from the Rave I'Ching fixings table
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+const knownCharts = require('./fixtures/known-charts.json');
+
+const chartOf = type => {
+  const fixture = knownCharts.find(chart => chart.type === type);
+  return HDKit.calculateChart({ birthTime: fixture.date, timezone: fixture.timezone });
+};
+
+test('a line is exalted or in detriment when its own planet activates it', () => {
+  // 58.5 is exalted by the Moon and in detriment by the Sun
+  assert.strictEqual(HDKit.calculateFixingState('Moon', { Gate: 58, Line: 5 }, {}), 'Exalted');
+  assert.strictEqual(HDKit.calculateFixingState('Sun', { Gate: 58, Line: 5 }, {}), 'Detriment');
+  assert.strictEqual(HDKit.calculateFixingState('Venus', { Gate: 58, Line: 5 }, {}), 'None');
+});
+
+test('isFixedBy counts the fixing planet in the same gate, its harmonic or another integration gate', () => {
+  assert.strictEqual(HDKit.isFixedBy('Sun', 'Moon', 58, { Sun: { Gate: 58 } }), true);
+  assert.strictEqual(HDKit.isFixedBy('Sun', 'Moon', 58, { Sun: { Gate: 18 } }), true);
+  assert.strictEqual(HDKit.isFixedBy('Sun', 'Moon', 58, { Sun: { Gate: 52 } }), false);
+  assert.strictEqual(HDKit.isFixedBy('Sun', 'Moon', 10, { Sun: { Gate: 57 } }), true);
+  assert.strictEqual(HDKit.isFixedBy('Sun', 'Moon', 58, {}), false);
+
+  // The Moon exalts 58.5 itself and a Sun in the harmonic gate 18 puts it in detriment as well
+  assert.strictEqual(HDKit.calculateFixingState('Moon', { Gate: 58, Line: 5 }, { Sun: { Gate: 18 } }), 'Juxtaposed');
+});
+
+test('fixing states of the Manifesting Generator and Projector fixtures', async () => {
+  const mg = await chartOf('Manifesting Generator');
+  assert.strictEqual(mg.personality.Moon.Gate, 58);
+  assert.strictEqual(mg.personality.Moon.Line, 5);
+  assert.strictEqual(mg.personality.Moon.FixingState, 'Exalted');
+
+  // 33.6 is in detriment by Jupiter, which sits in the harmonic gate 13 on the Personality side
+  assert.strictEqual(`${mg.personality.Earth.Gate}.${mg.personality.Earth.Line}`, '33.6');
+  assert.strictEqual(mg.personality.Jupiter.Gate, 13);
+  assert.strictEqual(mg.personality.Earth.FixingState, 'Detriment');
+
+  // Venus puts 48.2 in detriment
+  const projector = await chartOf('Projector');
+  assert.strictEqual(`${projector.personality.Venus.Gate}.${projector.personality.Venus.Line}`, '48.2');
+  assert.strictEqual(projector.personality.Venus.FixingState, 'Detriment');
+});
@@ -0,0 +1,26 @@
+// Gazetteer search - exact, alternate-name and misspelled queries over a small synthetic index
+const test = require('node:test');
+const assert = require('node:assert');
+const { Gazetteer } = require('../lib/gazetteer');
+
+const place = (id, name, countryCode, country, admin1, population, alternateNames = []) => ({
+  id, name, asciiname: name, alternateNames, latitude: 0, longitude: 0, countryCode, country,
+  admin1Code: null, admin1, admin2: '', population, timezone: 'UTC'
+});
+
+const gazetteer = new Gazetteer([
+  place(1, 'London', 'GB', 'United Kingdom', 'England', 8961989, ['Londres', 'Londra']),
+  place(2, 'London', 'CA', 'Canada', 'Ontario', 383822),
+  place(3, 'Londrina', 'BR', 'Brazil', 'Parana', 575377)
+], 'test');
+
+const search = (query, options) => gazetteer.search(query, options).map(result => result.value);
+
+test('a misspelled name finds both Londons, the larger one first', () => {
+  assert.deepStrictEqual(search('londom'), ['London, England, United Kingdom', 'London, Ontario, Canada']);
+});
+
+test('an alternate name does not fuzzily drag in other places with the same bigrams repeated', () => {
+  // "london" repeats the bigram "on"; counted twice against the single "on" of "londres" it used to score 0.73
+  assert.deepStrictEqual(search('londres'), ['London, England, United Kingdom']);
+});
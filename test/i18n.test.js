@@ -0,0 +1,21 @@
+// Localization - locale resolution and translated labels
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveLocale } = require('../lib/i18n');
+const HDKit = require('../lib/hdkit-calculator');
+
+test('resolveLocale prefers lang, then Accept-Language by q-value', () => {
+  assert.strictEqual(resolveLocale('pt-BR', 'de'), 'pt');
+  assert.strictEqual(resolveLocale(undefined, 'fr;q=1, de;q=0.5, es;q=0.8'), 'es');
+  assert.strictEqual(resolveLocale('fr'), 'en');
+});
+
+test('cross names and authority rules stay English and say so', async () => {
+  const chart = await HDKit.calculateChart({ birthTime: '1988-07-22T17:06:00', timezone: 'Europe/London', locale: 'es' });
+  const { IncarnationCross, InnerAuthority } = chart.properties;
+
+  assert.strictEqual(IncarnationCross.Option, 'Juxtaposition Cross of Stimulation (56/60 | 27/28)');
+  assert.strictEqual(IncarnationCross.OptionLocale, 'en');
+  assert.strictEqual(IncarnationCross.Angle, 'Cruz de Yuxtaposición');
+  assert.strictEqual(InnerAuthority.RuleLocale, 'en');
+});
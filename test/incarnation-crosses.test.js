@@ -0,0 +1,34 @@
+// Incarnation crosses - angle from the profile, name from the four Sun/Earth gates
+const test = require('node:test');
+const assert = require('node:assert');
+const { angles, crossTable, findIncarnationCross } = require('../lib/incarnation-crosses');
+
+test('the table holds 64 crosses of each angle', () => {
+  Object.values(angles).forEach(angle => {
+    assert.strictEqual(Object.values(crossTable).filter(cross => cross.angle === angle).length, 64);
+  });
+});
+
+test('known crosses by profile and gates', () => {
+  const cross = (profile, gates) => {
+    const { name, quarter } = findIncarnationCross(profile, gates);
+    return [name, quarter];
+  };
+
+  assert.deepStrictEqual(cross('1/3', [1, 2, 7, 13]), ['Right Angle Cross of the Sphinx', 'Quarter of Mutation']);
+  assert.deepStrictEqual(cross('4/1', [1, 2, 4, 49]), ['Juxtaposition Cross of Self-Expression', 'Quarter of Mutation']);
+  assert.deepStrictEqual(cross('5/1', [1, 2, 4, 49]), ['Left Angle Cross of Defiance', 'Quarter of Mutation']);
+  assert.deepStrictEqual(cross('3/5', [37, 40, 9, 16]), ['Right Angle Cross of Planning', 'Quarter of Initiation']);
+  assert.deepStrictEqual(cross('6/2', [33, 19, 2, 1]), ['Left Angle Cross of Refinement', 'Quarter of Civilization']);
+});
+
+test('a Design Sun on a neighbouring gate still resolves by the Personality Sun', () => {
+  const cross = findIncarnationCross('1/3', [1, 2, 13, 7]);
+
+  assert.strictEqual(cross.name, 'Right Angle Cross of the Sphinx');
+  assert.deepStrictEqual(cross.chartGates, [1, 2, 13, 7]);
+});
+
+test('an impossible profile has no cross', () => {
+  assert.strictEqual(findIncarnationCross('9/9', [1, 2, 7, 13]), null);
+});
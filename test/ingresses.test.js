@@ -0,0 +1,64 @@
+// Ingress calendar - gate and line ingresses and stations against known dates
+const test = require('node:test');
+const assert = require('node:assert');
+const swisseph = require('swisseph');
+const HDKit = require('../lib/hdkit-calculator');
+
+const julianDay = iso => HDKit.getJulianDay(new Date(iso));
+const ingresses = async (from, to, bodies, events) => HDKit.findIngresses({
+  fromJulianDay: await julianDay(from),
+  toJulianDay: await julianDay(to),
+  bodies,
+  events
+});
+const minutesApart = (iso, expected) => Math.abs(new Date(iso) - new Date(expected)) / 60000;
+
+test('the Sun enters gate 41 on 2024-01-22', async () => {
+  const [ingress, ...rest] = await ingresses('2024-01-20T00:00:00Z', '2024-01-24T00:00:00Z', 'sun', 'gates');
+
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(ingress.Gate, 41);
+  assert.strictEqual(ingress.Line, 1);
+  assert.deepStrictEqual(ingress.From, { Gate: 60, Line: 6 });
+  assert.strictEqual(ingress.DateUtc.slice(0, 10), '2024-01-22');
+});
+
+test("Mercury's 2024 stations", async () => {
+  const stations = await ingresses('2024-01-01T00:00:00Z', '2024-12-31T00:00:00Z', 'mercury', 'stations');
+
+  // Published station times (UTC); the built-in ephemeris lands within a few minutes
+  const expected = [
+    ['2024-01-02T03:08Z', 'Direct'],
+    ['2024-04-01T22:14Z', 'Retrograde'],
+    ['2024-04-25T12:54Z', 'Direct'],
+    ['2024-08-05T04:56Z', 'Retrograde'],
+    ['2024-08-28T21:14Z', 'Direct'],
+    ['2024-11-26T02:42Z', 'Retrograde'],
+    ['2024-12-15T20:56Z', 'Direct']
+  ];
+  assert.strictEqual(stations.length, expected.length);
+  stations.forEach((station, index) => {
+    assert.strictEqual(station.Type, 'Station');
+    assert.strictEqual(station.Direction, expected[index][1]);
+    assert.ok(minutesApart(station.DateUtc, expected[index][0]) < 5, `${station.DateUtc} vs ${expected[index][0]}`);
+  });
+});
+
+test('true node line ingresses match a fine scan through its direction changes', async () => {
+  // In 1992 the node crosses a line and back again between two direction changes a few hours apart
+  const from = '1992-01-01T00:00:00Z';
+  const to = '1993-01-01T00:00:00Z';
+  const events = await ingresses(from, to, 'north-node');
+
+  let crossings = 0;
+  let previous = null;
+  for (let day = await julianDay(from); day <= await julianDay(to); day += 0.01) {
+    const lineIndex = HDKit.lineIndex((await HDKit.getPlanetPosition(day, swisseph.SE_TRUE_NODE)).longitude);
+    if (previous !== null && lineIndex !== previous) crossings++;
+    previous = lineIndex;
+  }
+
+  assert.ok(crossings > 0);
+  assert.strictEqual(events.length, crossings);
+  assert.ok(events.every(event => event.Type !== 'Station'));
+});
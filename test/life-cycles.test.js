@@ -0,0 +1,28 @@
+// Life cycles - the Saturn, Uranus and Chiron milestones for a 1990 birth
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+
+const birthDate = new Date('1990-03-15T14:30:00Z');
+
+test('a March 1990 birth gets its milestones in date order', async () => {
+  const chart = await HDKit.calculateChart({ birthTime: '1990-03-15T09:30:00', timezone: 'America/New_York' });
+  const milestones = await HDKit.calculateLifeCycles(chart, birthDate);
+
+  assert.deepStrictEqual(milestones.map(milestone => [milestone.Type, milestone.Number, milestone.DateUtcIso.slice(0, 10)]), [
+    ['saturn-opposition', 1, '2004-08-31'],
+    ['saturn', 1, '2020-01-17'],
+    ['uranus-opposition', 1, '2034-08-20'],
+    ['chiron', 1, '2039-08-25'],
+    ['saturn', 2, '2049-02-21'],
+    ['saturn', 3, '2079-01-01']
+  ]);
+  assert.deepStrictEqual(milestones.map(milestone => Math.round(milestone.Age)), [15, 30, 44, 49, 59, 89]);
+
+  // A Saturn return puts transiting Saturn back on natal Saturn's gate and line
+  const saturnReturn = milestones.find(milestone => milestone.Type === 'saturn');
+  assert.strictEqual(saturnReturn.Event, 'Saturn Return #1');
+  assert.strictEqual(saturnReturn.Gate, chart.personality.Saturn.Gate);
+  assert.strictEqual(saturnReturn.Line, chart.personality.Saturn.Line);
+  assert.ok(saturnReturn.Touches.some(touch => touch.Side === 'Personality' && touch.Planet === 'Saturn' && touch.SameLine));
+});
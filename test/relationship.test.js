@@ -0,0 +1,59 @@
+// Relationship channels - companionship, dominance, compromise and electromagnetic between two fixture charts
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+const knownCharts = require('./fixtures/known-charts.json');
+
+const chartOf = type => {
+  const fixture = knownCharts.find(chart => chart.type === type);
+  return HDKit.calculateChart({ birthTime: fixture.date, timezone: fixture.timezone });
+};
+
+// Channel keys per category, with the holder of the whole channel where there is one
+const summarize = categories => Object.fromEntries(Object.entries(categories).map(([category, { List }]) => [
+  category,
+  List.map(item => (item.Holder ? `${item.Option.match(/\((.+)\)/)[1]}/${item.Holder}` : item.Option.match(/\((.+)\)/)[1]))
+]));
+
+test('classifies the channels of a Manifesting Generator and a Manifestor', async () => {
+  const mg = await chartOf('Manifesting Generator');
+  const manifestor = await chartOf('Manifestor');
+  const categories = HDKit.categorizeRelationshipChannels(mg, manifestor);
+
+  assert.deepStrictEqual(summarize(categories), {
+    Companionship: ['19-49'],
+    Dominance: ['21-45/2'],
+    Compromise: ['2-14/1', '13-33/1', '37-40/2'],
+    Electromagnetic: ['1-8', '7-31', '18-58', '29-46']
+  });
+});
+
+test('compromise: one person has the whole channel, the other one of its gates', async () => {
+  const mg = await chartOf('Manifesting Generator');
+  const manifestor = await chartOf('Manifestor');
+  const compromise = HDKit.categorizeRelationshipChannels(mg, manifestor).Compromise.List.find(item => item.Gates.join('-') === '2-14');
+
+  assert.strictEqual(compromise.Holder, 1);
+  assert.deepStrictEqual(compromise.Person1Gates, [2, 14]);
+  assert.strictEqual(compromise.Person2Gates.length, 1);
+});
+
+test('electromagnetic: each person has the gate the other lacks', async () => {
+  const mg = await chartOf('Manifesting Generator');
+  const manifestor = await chartOf('Manifestor');
+  const [electromagnetic] = HDKit.categorizeRelationshipChannels(mg, manifestor).Electromagnetic.List;
+
+  assert.strictEqual(electromagnetic.Person1Gates.length, 1);
+  assert.strictEqual(electromagnetic.Person2Gates.length, 1);
+  assert.notStrictEqual(electromagnetic.Person1Gates[0], electromagnetic.Person2Gates[0]);
+  assert.strictEqual(electromagnetic.Holder, undefined);
+});
+
+test('category names follow the locale while Ids stay English', async () => {
+  const categories = HDKit.categorizeRelationshipChannels(await chartOf('Manifesting Generator'), await chartOf('Generator'), 'de');
+
+  assert.deepStrictEqual(summarize(categories).Companionship, ['2-14']);
+  assert.strictEqual(categories.Companionship.Name, 'Kameradschaftskanäle');
+  assert.strictEqual(categories.Companionship.Id, 'Companionship Channels');
+  assert.strictEqual(categories.Compromise.Name, 'Kompromisskanäle');
+});
@@ -0,0 +1,22 @@
+// Bodygraph rendering - only the activation bodies color gates
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+const { renderBodygraphSvg } = require('../lib/bodygraph-svg');
+const [manifestingGenerator] = require('./fixtures/known-charts.json');
+
+const gateElement = (svg, gate) => svg.match(new RegExp(`<[a-z]+ id="Gate_?${gate}"[^>]*>`))[0];
+
+test('opt-in bodies are listed but do not color gates', async () => {
+  const chart = await HDKit.calculateChart({ birthTime: manifestingGenerator.date, timezone: manifestingGenerator.timezone, bodies: 'chiron' });
+  const chironGate = chart.personality.Chiron.Gate;
+  assert.ok(!chart.gates.includes(chironGate), 'fixture Chiron sits in a gate no activation body has');
+
+  const svg = renderBodygraphSvg(chart);
+  const plain = renderBodygraphSvg(await HDKit.calculateChart({ birthTime: manifestingGenerator.date, timezone: manifestingGenerator.timezone }));
+
+  assert.ok(svg.includes('⚷'));
+  assert.strictEqual(gateElement(svg, chironGate), gateElement(plain, chironGate));
+  assert.ok(!svg.includes(`<text id="GateText${chironGate}" fill="#fff"`));
+  chart.gates.forEach(gate => assert.ok(svg.includes(`<text id="GateText${gate}" fill="#fff"`)));
+});
@@ -0,0 +1,28 @@
+// Planetary returns - the nth Solar, Saturn, Uranus or Chiron cycle after birth
+const test = require('node:test');
+const assert = require('node:assert');
+const swisseph = require('swisseph');
+const HDKit = require('../lib/hdkit-calculator');
+
+const longitudeAt = async (date, planetId) => (await HDKit.getPlanetPosition(await HDKit.getJulianDay(date), planetId)).longitude;
+
+test('someone born in May 1990, Saturn at 25° Capricorn, has their Saturn return in February 2020', async () => {
+  const birthDate = new Date('1990-05-10T12:00:00Z');
+  const saturnReturn = await HDKit.findPlanetaryReturn({ birthDate, cycle: 'saturn', number: 1 });
+
+  assert.strictEqual(saturnReturn.name, 'Saturn Return');
+  assert.ok(Math.abs(saturnReturn.natalLongitude - 295.3) < 0.1);
+  assert.strictEqual(saturnReturn.date.toISOString().slice(0, 7), '2020-02');
+  assert.strictEqual(saturnReturn.passes.length, 1);
+  assert.ok(Math.abs((await longitudeAt(saturnReturn.date, swisseph.SE_SATURN)) - saturnReturn.natalLongitude) < 1e-4);
+});
+
+test('a Solar Return falls within a day of the birthday', async () => {
+  const solarReturn = await HDKit.findPlanetaryReturn({ birthDate: new Date('1990-05-10T12:00:00Z'), cycle: 'solar', number: 30 });
+
+  assert.ok(Math.abs(solarReturn.date - new Date('2020-05-10T12:00:00Z')) < 86400000);
+});
+
+test('unknown return types are rejected', async () => {
+  await assert.rejects(HDKit.findPlanetaryReturn({ birthDate: new Date('1990-05-10T12:00:00Z'), cycle: 'venus' }), /Unknown return type "venus"/);
+});
@@ -0,0 +1,35 @@
+// Type regression tests - known charts from test/fixtures/known-charts.json
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+const { hasMotorToThroat } = require('../lib/center-graph');
+const knownCharts = require('./fixtures/known-charts.json');
+
+knownCharts.forEach(fixture => {
+  test(fixture.name, async () => {
+    const chart = await HDKit.calculateChart({ birthTime: fixture.date, timezone: fixture.timezone });
+
+    assert.deepStrictEqual([...chart.channels].sort(), [...fixture.channels].sort());
+    assert.strictEqual(chart.properties.Type.Id, fixture.type);
+  });
+});
+
+test('hasMotorToThroat follows defined channels through other centers', () => {
+  assert.strictEqual(hasMotorToThroat(['21-45']), true);
+  assert.strictEqual(hasMotorToThroat(['2-14', '13-33']), true);
+  assert.strictEqual(hasMotorToThroat(['2-14']), false);
+  assert.strictEqual(hasMotorToThroat(['13-33']), false);
+  assert.strictEqual(hasMotorToThroat(['18-58']), false);
+  assert.strictEqual(hasMotorToThroat([]), false);
+});
+
+test('determineType without a motor to the Throat', () => {
+  assert.strictEqual(HDKit.determineType([], []), 'Reflector');
+  assert.strictEqual(HDKit.determineType(['Splenic center', 'Root center'], ['18-58']), 'Projector');
+  assert.strictEqual(HDKit.determineType(['G center', 'Sacral center'], ['2-14']), 'Generator');
+});
+
+test('determineType with a motor to the Throat', () => {
+  assert.strictEqual(HDKit.determineType(['G center', 'Sacral center', 'Throat center'], ['2-14', '13-33']), 'Manifesting Generator');
+  assert.strictEqual(HDKit.determineType(['Heart center', 'Throat center'], ['21-45']), 'Manifestor');
+});
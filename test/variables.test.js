@@ -0,0 +1,30 @@
+// Variables - arrows and names from the Sun and Node color and tone of each side
+const test = require('node:test');
+const assert = require('node:assert');
+const HDKit = require('../lib/hdkit-calculator');
+const knownCharts = require('./fixtures/known-charts.json');
+
+test('Variables of the Manifesting Generator fixture', async () => {
+  const fixture = knownCharts.find(chart => chart.type === 'Manifesting Generator');
+  const { variables } = await HDKit.calculateChart({ birthTime: fixture.date, timezone: fixture.timezone });
+
+  assert.strictEqual(variables.Code, 'PLR DRR');
+  assert.deepStrictEqual(
+    [variables.Digestion, variables.Environment, variables.Awareness, variables.Perspective],
+    ['right', 'right', 'left', 'right']
+  );
+
+  const { Determination, Environment, Motivation, Perspective } = variables.Details;
+  assert.deepStrictEqual([Determination.Color, Determination.Name, Determination.Tone, Determination.ToneName], [6, 'Light', 6, 'Touch']);
+  assert.deepStrictEqual([Environment.Color, Environment.Name], [6, 'Shores']);
+  assert.deepStrictEqual([Motivation.Color, Motivation.Name, Motivation.Tone], [6, 'Innocence', 2]);
+  assert.deepStrictEqual([Perspective.Color, Perspective.Name, Perspective.Tone], [1, 'Survival', 4]);
+});
+
+test('tones 1-3 point the arrow left and tones 4-6 right', () => {
+  const side = tone => ({ Sun: { Color: 1, Tone: tone }, 'North Node': { Color: 1, Tone: tone } });
+
+  assert.strictEqual(HDKit.calculateVariables(side(3), side(3)).Code, 'PLL DLL');
+  assert.strictEqual(HDKit.calculateVariables(side(4), side(3)).Code, 'PRR DLL');
+  assert.strictEqual(HDKit.calculateVariables(side(1), side(6)).Code, 'PLL DRR');
+});